@@ -0,0 +1,174 @@
+/*
+ * accounts.js — GitHub Notifications Redux
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * Copyright (c) 2026 Nelson Alex Jeppesen
+ *
+ * Helpers for the list of GitHub accounts stored in the `accounts` GSettings
+ * key.  Shared by extension.js and prefs.js, so this module must only import
+ * libraries that are safe in both the GNOME Shell and the GTK 4 process.
+ *
+ * Each account is stored as an `a{sv}` dictionary:
+ *
+ *   id                  (s)  stable random identifier
+ *   label               (s)  display name shown in the menu (optional)
+ *   host                (s)  "github.com" or a GitHub Enterprise hostname
+ *   participating-only  (b)  only fetch "participating" notifications
+ *   oauth-client-id     (s)  OAuth App client id for device-flow sign-in
+ *                            (empty: use the global `oauth-client-id`)
+ *   token-revision      (i)  bumped whenever the token in the keyring
+ *                            changes, so running instances reload it
+ *   token               (s)  legacy plaintext token; only present until
+ *                            it has been migrated into the keyring
+ *
+ * Tokens themselves live in the keyring, see secret.js.
+ */
+
+import GLib from 'gi://GLib';
+
+/** Hostname used for new accounts and as a fallback for empty values. */
+export const DEFAULT_HOST = 'github.com';
+
+/**
+ * Return the REST API base URL for a GitHub host.
+ *
+ * Standard GitHub:   https://api.github.com
+ * GitHub Enterprise:  https://HOST/api/v3
+ *
+ * @param {string} host — e.g. "github.com" or "github.example.com".
+ * @returns {string}
+ */
+export function getApiBase(host) {
+    return host === DEFAULT_HOST
+        ? 'https://api.github.com'
+        : `https://${host}/api/v3`;
+}
+
+/**
+ * Return the GraphQL API endpoint for a GitHub host.
+ *
+ * Standard GitHub:   https://api.github.com/graphql
+ * GitHub Enterprise:  https://HOST/api/graphql
+ *
+ * @param {string} host — e.g. "github.com" or "github.example.com".
+ * @returns {string}
+ */
+export function getGraphQLUrl(host) {
+    return host === DEFAULT_HOST
+        ? 'https://api.github.com/graphql'
+        : `https://${host}/api/graphql`;
+}
+
+/**
+ * Return the name shown for an account in the menu and preferences.
+ *
+ * @param {Object} account
+ * @returns {string}
+ */
+export function getAccountLabel(account) {
+    return account.label || account.host;
+}
+
+/**
+ * Return the OAuth App client id used for an account's device-flow sign-in.
+ *
+ * @param {Gio.Settings} settings
+ * @param {Object} account
+ * @returns {string} Empty when none is configured.
+ */
+export function getOAuthClientId(settings, account) {
+    return account.oauthClientId || settings.get_string('oauth-client-id');
+}
+
+/**
+ * Create a new account object with default values.
+ *
+ * @param {Object} [props] — values overriding the defaults.
+ * @returns {Object}
+ */
+export function createAccount(props = {}) {
+    return {
+        id: GLib.uuid_string_random(),
+        label: '',
+        host: DEFAULT_HOST,
+        token: '',
+        participatingOnly: false,
+        oauthClientId: '',
+        tokenRevision: 0,
+        ...props,
+    };
+}
+
+/**
+ * Read the configured accounts.
+ *
+ * @param {Gio.Settings} settings
+ * @returns {Object[]} Account objects in display order.
+ */
+export function loadAccounts(settings) {
+    return settings.get_value('accounts').recursiveUnpack().map(dict => ({
+        id: dict['id'] ?? GLib.uuid_string_random(),
+        label: dict['label'] ?? '',
+        host: dict['host'] || DEFAULT_HOST,
+        token: dict['token'] ?? '',
+        participatingOnly: dict['participating-only'] ?? false,
+        oauthClientId: dict['oauth-client-id'] ?? '',
+        tokenRevision: dict['token-revision'] ?? 0,
+    }));
+}
+
+/**
+ * Write the account list back to GSettings.
+ *
+ * @param {Gio.Settings} settings
+ * @param {Object[]} accounts
+ */
+export function saveAccounts(settings, accounts) {
+    const dicts = accounts.map(account => {
+        const dict = {
+            'id': GLib.Variant.new_string(account.id),
+            'label': GLib.Variant.new_string(account.label),
+            'host': GLib.Variant.new_string(account.host || DEFAULT_HOST),
+            'participating-only':
+                GLib.Variant.new_boolean(account.participatingOnly),
+            'oauth-client-id': GLib.Variant.new_string(account.oauthClientId),
+            'token-revision': GLib.Variant.new_int32(account.tokenRevision),
+        };
+
+        /* Keep a not-yet-migrated plaintext token until it is moved */
+        if (account.token)
+            dict['token'] = GLib.Variant.new_string(account.token);
+
+        return dict;
+    });
+
+    settings.set_value('accounts', new GLib.Variant('aa{sv}', dicts));
+}
+
+/**
+ * Move the pre-multi-account `domain`, `token` and `show-participating-only`
+ * keys into a first entry of the `accounts` list.
+ *
+ * Runs only while the account list is empty and a legacy token is set.
+ * The legacy keys are reset afterwards so the migration happens once.
+ * The token is carried in the entry until migrateTokensToKeyring() in
+ * secret.js moves it into the keyring.
+ *
+ * @param {Gio.Settings} settings
+ */
+export function migrateLegacyAccount(settings) {
+    const token = settings.get_string('token');
+    if (!token || loadAccounts(settings).length > 0)
+        return;
+
+    saveAccounts(settings, [createAccount({
+        host: settings.get_string('domain') || DEFAULT_HOST,
+        token,
+        participatingOnly:
+            settings.get_boolean('show-participating-only'),
+    })]);
+
+    settings.reset('token');
+    settings.reset('domain');
+    settings.reset('show-participating-only');
+}
@@ -10,11 +10,20 @@
  *
  * Architecture
  * ────────────
- *  • PanelMenu.Button  — indicator icon + count label in the top bar
- *  • PopupMenuSection  — dynamically rebuilt list of notification rows
+ *  • PanelMenu.Button  — indicator icon + combined count label in the top bar
+ *  • PopupMenuSection  — dynamically rebuilt list of notification rows,
+ *                        one section per configured account
  *  • Soup 3.0          — async HTTP for the GitHub REST API
- *  • GLib timeout       — polling loop with exponential back-off on errors
+ *  • GLib timeout       — one polling loop per account, each with its own
+ *                        exponential back-off on errors
  *  • MessageTray        — optional desktop notification alerts
+ *  • NetworkMonitor     — polling pauses offline and resumes (also after
+ *                        suspend) with the back-off reset
+ *
+ * Per-account runtime state (cached list, validators, back-off counters and
+ * the pending timeout) lives in the plain objects built by
+ * {@link GitHubNotificationsExtension#_createAccountState}; every method
+ * that talks to the API takes the account it acts for as first argument.
  */
 
 import GLib from 'gi://GLib';
@@ -29,12 +38,30 @@ import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
 
+import {
+    getAccountLabel, getApiBase, getGraphQLUrl, loadAccounts,
+    migrateLegacyAccount,
+} from './accounts.js';
+import {
+    compileRule, createRepoFilter, createRepoMatcher, evaluateRules, loadRules,
+} from './filters.js';
+import {lookupToken, migrateTokensToKeyring} from './secret.js';
+import {
+    HISTORY_FILE, getCacheFile, getDataFile, readJson, writeJson,
+} from './storage.js';
+
 /**
  * Maximum number of notification items shown in the popup menu before
  * an overflow "… and N more" label is appended.
  */
 const MAX_MENU_ITEMS = 25;
 
+/**
+ * Page size requested from the notifications endpoint.  50 is the maximum
+ * GitHub accepts; larger pages mean fewer round-trips per poll.
+ */
+const NOTIFICATIONS_PER_PAGE = 50;
+
 /**
  * Map of GitHub notification subject types to symbolic icon names used
  * in the GNOME Shell icon theme.
@@ -44,6 +71,12 @@ const TYPE_ICONS = {
     Issue: 'dialog-warning-symbolic',
     Commit: 'document-edit-symbolic',
     Release: 'emblem-system-symbolic',
+    Discussion: 'system-users-symbolic',
+    CheckSuite: 'system-run-symbolic',
+    RepositoryVulnerabilityAlert: 'security-low-symbolic',
+    RepositoryDependabotAlertsThread: 'security-medium-symbolic',
+    SecurityAdvisory: 'security-high-symbolic',
+    RepositoryInvitation: 'contact-new-symbolic',
 };
 
 /** Default icon when the notification type is unknown. */
@@ -57,6 +90,25 @@ const TYPE_LABELS = {
     Issue: 'Issues',
     Commit: 'Commits',
     Release: 'Releases',
+    Discussion: 'Discussions',
+    CheckSuite: 'Workflow Runs',
+    RepositoryVulnerabilityAlert: 'Vulnerability Alerts',
+    RepositoryDependabotAlertsThread: 'Dependabot Alerts',
+    SecurityAdvisory: 'Security Advisories',
+    RepositoryInvitation: 'Invitations',
+};
+
+/**
+ * Repository pages opened for subject types whose notifications carry no
+ * `subject.url` (relative to https://HOST/owner/repo/).
+ */
+const TYPE_PAGES = {
+    Discussion: 'discussions',
+    CheckSuite: 'actions',
+    RepositoryVulnerabilityAlert: 'security/dependabot',
+    RepositoryDependabotAlertsThread: 'security/dependabot',
+    SecurityAdvisory: 'security/advisories',
+    RepositoryInvitation: 'invitations',
 };
 
 /**
@@ -77,6 +129,31 @@ const REASON_LABELS = {
     team_mention: 'Team Mentioned',
 };
 
+/**
+ * Priority of each notification reason for the panel badge: 3 (high),
+ * 2 (medium) or 1 (low).  Reasons not listed are low priority.
+ */
+const REASON_PRIORITY = {
+    review_requested: 3,
+    approval_requested: 3,
+    mention: 3,
+    team_mention: 3,
+    assign: 3,
+    security_alert: 3,
+    author: 2,
+    comment: 2,
+    invitation: 2,
+    manual: 2,
+    state_change: 2,
+};
+
+/** Badge style class for each priority level. */
+const PRIORITY_STYLE_CLASSES = {
+    3: 'github-notifications-count-high',
+    2: 'github-notifications-count-medium',
+    1: 'github-notifications-count-low',
+};
+
 /**
  * Back-off schedule (in seconds) used when consecutive fetch attempts fail.
  * Index 0 is used after the first failure, index 1 after the second, etc.
@@ -84,6 +161,111 @@ const REASON_LABELS = {
  */
 const RETRY_INTERVALS = [60, 120, 240, 480, 960, 1920, 3600];
 
+/**
+ * Remaining API requests below which optional lookups (subject states, CI
+ * status, comment anchors) are skipped until the quota resets.
+ */
+const RATE_LIMIT_RESERVE = 100;
+
+/** HTTP 429, which Soup.Status has no name for. */
+const HTTP_TOO_MANY_REQUESTS = 429;
+
+/**
+ * Panel icon style class per kind of polling error, most important first:
+ * a rejected token, a failing server, an unreachable host.  A "rate-limit"
+ * error has no style: polling is only waiting for the quota to reset.
+ */
+const ERROR_STYLE_CLASSES = {
+    auth: 'github-notifications-error-auth',
+    server: 'github-notifications-error-server',
+    network: 'github-notifications-error-network',
+};
+
+/** Style class of the panel count while it shows a cached, stale list. */
+const STALE_STYLE_CLASS = 'github-notifications-stale';
+
+/** Style class of the menu's sync status row while a poll is failing. */
+const STATUS_ERROR_STYLE_CLASS = 'github-notif-status-error';
+
+/** Subject types whose state (open, draft, merged, closed) is looked up. */
+const STATEFUL_TYPES = new Set(['PullRequest', 'Issue']);
+
+/**
+ * Icons replacing the type icon for finished subjects; open and draft
+ * subjects keep the type icon and are only coloured.
+ */
+const STATE_ICONS = {
+    merged: 'emblem-ok-symbolic',
+    closed: 'process-stop-symbolic',
+};
+
+/**
+ * Icons and style classes of the CI badge on pull request rows, by the
+ * combined result of the head commit's statuses and check runs.
+ */
+const CI_ICONS = {
+    success: 'object-select-symbolic',
+    failure: 'dialog-error-symbolic',
+    pending: 'content-loading-symbolic',
+};
+
+/** Check-run conclusions that count as a failed CI run. */
+const CI_FAILED_CONCLUSIONS = new Set([
+    'failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure',
+]);
+
+/** Subject-state requests sent at once, and seconds between batches. */
+const STATE_BATCH_SIZE = 5;
+const STATE_BATCH_DELAY = 2;
+
+/** Data file (see storage.js) holding the snoozed threads. */
+const SNOOZE_FILE = 'snoozed';
+
+/** Seconds during which a "Mark All Read" can be undone before it is sent. */
+const MARK_ALL_READ_UNDO_DELAY = 8;
+
+/** How each kind of "Recently Read" entry is labelled in the menu. */
+const HISTORY_ACTION_LABELS = {
+    read: 'read',
+    done: 'done',
+    opened: 'opened',
+    muted: 'muted',
+};
+
+/** Cache file (see storage.js) holding the last fetched lists. */
+const CACHE_FILE = 'notifications';
+
+/** Local hours used by the "This evening" and morning snooze presets. */
+const SNOOZE_EVENING_HOUR = 18;
+const SNOOZE_MORNING_HOUR = 9;
+
+/** Seconds between checks for the end of quiet hours or Do Not Disturb. */
+const QUIET_CHECK_INTERVAL = 60;
+
+/** Threads listed by name in the catch-up summary after quiet hours. */
+const CATCH_UP_MAX_LINES = 5;
+
+/**
+ * Seconds to wait after the network returns, or after resume from suspend,
+ * before fetching; routes and DNS are often not ready straight away.
+ */
+const RECONNECT_DELAY = 2;
+const RESUME_DELAY = 5;
+
+/**
+ * GSettings keys that record data rather than configuration.  Changes to
+ * them (often made by the extension itself) do not trigger a re-fetch.
+ */
+const DATA_KEYS = new Set(['muted-threads']);
+
+/**
+ * GSettings keys that change what or how often is polled.  Changes to them
+ * drop the cached validators and restart polling — of every account, or
+ * for `accounts` only of the new and changed ones; all other keys are
+ * applied to the lists already fetched.
+ */
+const POLL_KEYS = new Set(['accounts', 'refresh-interval', 'max-pages']);
+
 
 export default class GitHubNotificationsExtension extends Extension {
     // ── Lifecycle ─────────────────────────────────────────────────────────────
@@ -92,47 +274,118 @@ export default class GitHubNotificationsExtension extends Extension {
      * Called by GNOME Shell when the extension is enabled.
      *
      * Initialises settings, HTTP session, panel indicator, and starts the
-     * first notification fetch.  All resources created here are torn down
-     * in {@link disable}.
+     * first notification fetch for every account.  All resources created
+     * here are torn down in {@link disable}.
      */
     enable() {
         /* Mutable state — reset on every enable cycle */
-        this._notifications = [];
-        this._githubInterval = 60;     // seconds; updated from X-Poll-Interval
-        this._retryAttempts = 0;
-        this._timeoutId = null;
+        this._accounts = [];
         this._settingsChangedId = null;
         this._httpSession = null;
+        this._notificationSource = null;
+        this._shownThreads = [];
+        this._searchFocusId = null;
+        this._statusTimeoutId = null;
+        this._snoozed = new Map();
+        this._snoozeTarget = null;
+        this._snoozeTimeoutId = null;
+        this._stateQueue = [];
+        this._stateQueueRunning = false;
+        this._stateTimeoutId = null;
+        this._missedAlerts = new Map();
+        this._missedCiAlerts = new Map();
+        this._quietTimeoutId = null;
+        this._desktopNotifSettings = null;
+        this._dndChangedId = null;
+        this._networkMonitor = null;
+        this._networkChangedId = null;
+        this._sleepSignalId = null;
+        this._resumeTimeoutId = null;
+        this._online = true;
+        this._history = [];
+        this._historyMonitor = null;
+        this._historyChangedId = null;
+        this._markAllReadTimeoutId = null;
+        this._markAllReadNotification = null;
 
         /* Bind GSettings and read current values */
         this._settings = this.getSettings();
+        migrateLegacyAccount(this._settings);
+        migrateTokensToKeyring(this._settings).catch(e =>
+            console.error(
+                `[GitHub Notifications] Token migration error: ${e.message}`));
         this._loadSettings();
+        this._syncAccounts();
+
+        /* GNOME's Do Not Disturb switch (show-banners off) */
+        this._desktopNotifSettings = new Gio.Settings({
+            schema_id: 'org.gnome.desktop.notifications',
+        });
+        this._dndChangedId = this._desktopNotifSettings.connect(
+            'changed::show-banners', () => this._onDndChanged());
 
         /* Create the Soup HTTP session and panel indicator */
         this._initHttp();
+        this._initConnectivity();
+        this._initHistory();
         this._initIndicator();
 
         /*
          * React to any settings change: reload values, refresh visibility,
-         * and (when credentials change) recreate the HTTP session.  After
-         * any change we force a full re-fetch to pick up the new config.
+         * and reconcile the account list.  Only the keys in POLL_KEYS force
+         * a full re-fetch.
          */
         this._settingsChangedId = this._settings.connect(
             'changed',
             (_settings, key) => {
+                if (DATA_KEYS.has(key))
+                    return;
+
                 this._loadSettings();
+
+                /* Only new accounts and those now polling something
+                 * else are restarted; a label change restarts nothing */
+                const restart = key === 'accounts'
+                    ? this._syncAccounts()
+                    : this._accounts;
+
+                if (key === 'repo-allowlist' || key === 'repo-blocklist' ||
+                    key === 'rules')
+                    this._refilterNotifications();
+
+                if (key === 'ci-status-repos')
+                    this._refreshCiStatus();
+
+                this._updateCountLabel();
                 this._updateVisibility();
 
-                if (key === 'domain' || key === 'token')
-                    this._initHttp();
+                if (!POLL_KEYS.has(key))
+                    return;
+
+                for (const account of restart) {
+                    /* The cached validator belongs to the old configuration */
+                    account.lastModified = null;
 
-                this._stopLoop();
-                this._scheduleFetch(5, false);
+                    this._stopLoop(account);
+                    this._scheduleFetch(account, 5, false);
+                }
             },
         );
 
-        /* Kick off the first poll immediately */
-        this._fetchNotifications();
+        /* Show the cached lists, then kick off the first poll once snoozed
+         * threads are known, so they are not listed or alerted in the
+         * meantime */
+        Promise.all([this._loadSnoozed(), this._loadCache()]).finally(() => {
+            if (!this._settings)
+                return;
+
+            this._refilterNotifications();
+            this._updateCountLabel();
+            this._updateVisibility();
+
+            for (const account of this._accounts)
+                this._fetchNotifications(account);
+        });
     }
 
     /**
@@ -144,23 +397,82 @@ export default class GitHubNotificationsExtension extends Extension {
      * references nulled so nothing leaks between enable/disable cycles.
      */
     disable() {
-        this._stopLoop();
+        for (const account of this._accounts)
+            this._stopLoop(account);
+        this._accounts = [];
+
+        this._destroyConnectivity();
+        this._destroyHistory();
 
         if (this._settingsChangedId) {
             this._settings.disconnect(this._settingsChangedId);
             this._settingsChangedId = null;
         }
 
+        if (this._searchFocusId) {
+            GLib.Source.remove(this._searchFocusId);
+            this._searchFocusId = null;
+        }
+
+        if (this._statusTimeoutId) {
+            GLib.Source.remove(this._statusTimeoutId);
+            this._statusTimeoutId = null;
+        }
+
+        /* A "Mark All Read" still in its undo window is dropped */
+        if (this._markAllReadTimeoutId) {
+            GLib.Source.remove(this._markAllReadTimeoutId);
+            this._markAllReadTimeoutId = null;
+        }
+        this._markAllReadNotification = null;
+
+        if (this._snoozeTimeoutId) {
+            GLib.Source.remove(this._snoozeTimeoutId);
+            this._snoozeTimeoutId = null;
+        }
+
+        if (this._quietTimeoutId) {
+            GLib.Source.remove(this._quietTimeoutId);
+            this._quietTimeoutId = null;
+        }
+        this._missedAlerts.clear();
+        this._missedCiAlerts.clear();
+
+        if (this._dndChangedId) {
+            this._desktopNotifSettings.disconnect(this._dndChangedId);
+            this._dndChangedId = null;
+        }
+        this._desktopNotifSettings = null;
+        this._snoozed.clear();
+        this._snoozeTarget = null;
+
         this._indicator?.destroy();
         this._indicator = null;
+        this._searchEntry = null;
         this._notifSection = null;
+        this._shownThreads = [];
         this._label = null;
+        this._secondaryLabel = null;
+        this._lockIcon = null;
+        this._offlineIcon = null;
+        this._icon = null;
+        this._statusItem = null;
+        this._retryItem = null;
+
+        if (this._stateTimeoutId) {
+            GLib.Source.remove(this._stateTimeoutId);
+            this._stateTimeoutId = null;
+        }
+        this._stateQueue = [];
+        this._stateQueueRunning = false;
 
         this._httpSession?.abort();
         this._httpSession = null;
 
+        this._notificationSource?.destroy();
+        this._notificationSource = null;
+
         this._settings = null;
-        this._notifications = [];
     }
 
     // ── Settings ──────────────────────────────────────────────────────────────
@@ -170,15 +482,213 @@ export default class GitHubNotificationsExtension extends Extension {
      * Called once in {@link enable} and again whenever a setting changes.
      */
     _loadSettings() {
-        this._domain = this._settings.get_string('domain');
-        this._token = this._settings.get_string('token');
         this._hideWidget = this._settings.get_boolean('hide-widget');
         this._hideCount = this._settings.get_boolean('hide-notification-count');
         this._refreshInterval = this._settings.get_int('refresh-interval');
         this._showAlert = this._settings.get_boolean('show-alert');
-        this._participatingOnly =
-            this._settings.get_boolean('show-participating-only');
         this._groupBy = this._settings.get_string('group-by');
+        this._alertSummaryThreshold =
+            this._settings.get_int('alert-summary-threshold');
+        this._maxPages = Math.max(1, this._settings.get_int('max-pages'));
+        this._autoDismissClosed =
+            this._settings.get_boolean('auto-dismiss-closed');
+        this._ciRepoMatcher = createRepoMatcher(
+            this._settings.get_strv('ci-status-repos'));
+        this._alertCiFailure = this._settings.get_boolean('alert-ci-failure');
+        this._quietHoursEnabled =
+            this._settings.get_boolean('quiet-hours-enabled');
+        this._quietHours = this._settings.get_value('quiet-hours').deepUnpack();
+        this._respectDnd = this._settings.get_boolean('respect-dnd');
+        this._historySize = this._settings.get_int('history-size');
+        this._dismissAction = this._settings.get_string('dismiss-action');
+        this._badgeReasons = new Set(
+            this._settings.get_strv('badge-reasons'));
+        this._showSecondaryCount =
+            this._settings.get_boolean('show-secondary-count');
+        this._repoFilter = createRepoFilter(
+            this._settings.get_strv('repo-allowlist'),
+            this._settings.get_strv('repo-blocklist'));
+        this._rules = loadRules(this._settings).map(compileRule);
+    }
+
+    // ── Accounts ──────────────────────────────────────────────────────────────
+
+    /**
+     * Create the runtime state for one configured account.
+     *
+     * The configuration fields (`id`, `label`, `host`, `participatingOnly`,
+     * `tokenRevision`) come from {@link loadAccounts}; the remaining fields
+     * are the per-account polling state.  `token` starts out empty (or as a
+     * not-yet-migrated plaintext token) and is filled from the keyring by
+     * {@link _ensureToken}.
+     *
+     * @param {Object} config — account as returned by loadAccounts().
+     * @returns {Object}
+     */
+    _createAccountState(config) {
+        return {
+            ...config,
+            fetched: [],           // unfiltered list from the last poll
+            notifications: [],     // fetched, after the filters and rules
+            verdicts: new Map(),   // thread id → combined rule actions
+            /* "id@updated_at" of threads whose rule action was sent */
+            ruleActionsSent: new Set(),
+            /* thread id → {updatedAt, state} of pull requests and issues */
+            subjectStates: new Map(),
+            githubInterval: 60,    // seconds; updated from X-Poll-Interval
+            truncated: false,      // true when max-pages cut the list short
+            lastModified: null,    // validator sent as If-Modified-Since
+            unauthorized: false,   // last poll was rejected with 401
+            lastSync: null,        // ms timestamp of the last successful poll
+            cachedAt: null,        // ms timestamp of a stale list from disk
+            /* thread id → updated_at of the rows listed at menu open */
+            seenThreads: new Map(),
+            /* thread id → updated_at hidden during the undo window */
+            pendingRead: null,
+            lastError: null,       // {kind, message} of the last failed poll
+            nextPollAt: null,      // ms timestamp of the scheduled poll
+            keyringLocked: false,  // token is in a locked keyring collection
+            /* resource ("core", "graphql") → {limit, remaining, reset} */
+            rateLimits: new Map(),
+            rateLimitedUntil: 0,   // ms timestamp; no requests before it
+            retryAttempts: 0,
+            timeoutId: null,
+        };
+    }
+
+    /**
+     * Reconcile {@link _accounts} with the `accounts` GSettings key.
+     *
+     * Accounts that still exist keep their cached notifications and loop
+     * state (with the new configuration applied); removed accounts have
+     * their polling loop stopped; new accounts get fresh state.  An account
+     * whose host, token or participating-only flag changed loses its
+     * validator, back-off, rate-limit and subject state, which belong to
+     * what it polled before.  Polling of the new and changed accounts is
+     * (re)started by the caller.
+     *
+     * @returns {Object[]} The new and changed accounts.
+     */
+    _syncAccounts() {
+        const previous = new Map(this._accounts.map(a => [a.id, a]));
+        const changed = [];
+
+        this._accounts = loadAccounts(this._settings).map(config => {
+            const existing = previous.get(config.id);
+            previous.delete(config.id);
+
+            if (!existing) {
+                const account = this._createAccountState(config);
+                changed.push(account);
+                return account;
+            }
+
+            /* Credentials changed — the cached list belongs to someone
+             * else, and the token must be read from the keyring again. */
+            const credentialsChanged = existing.host !== config.host ||
+                existing.tokenRevision !== config.tokenRevision;
+            const token = credentialsChanged ? '' : existing.token;
+
+            if (credentialsChanged) {
+                existing.fetched = [];
+                existing.notifications = [];
+            }
+
+            if (credentialsChanged ||
+                existing.participatingOnly !== config.participatingOnly) {
+                Object.assign(existing, {
+                    subjectStates: new Map(),
+                    ruleActionsSent: new Set(),
+                    truncated: false,
+                    lastModified: null,
+                    lastError: null,
+                    rateLimits: new Map(),
+                    rateLimitedUntil: 0,
+                    retryAttempts: 0,
+                });
+                changed.push(existing);
+            }
+
+            return Object.assign(existing, config, {
+                token: config.token || token,
+            });
+        });
+
+        for (const removed of previous.values())
+            this._stopLoop(removed);
+
+        if (previous.size > 0)
+            this._pruneSnoozed();
+
+        return changed;
+    }
+
+    /**
+     * Make sure the account's token has been read from the keyring.
+     *
+     * Looks the token up on every call until one is found, so a keyring
+     * that was locked at login is picked up on the next poll after it has
+     * been unlocked.  While the item is locked, `keyringLocked` is set and
+     * the indicator shows the locked state.
+     *
+     * @param {Object} account
+     * @returns {Promise<boolean>} Whether a token is available.
+     */
+    async _ensureToken(account) {
+        if (account.token)
+            return true;
+
+        try {
+            const {token, locked} = await lookupToken(account.id);
+            account.token = token ?? '';
+            account.keyringLocked = locked;
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Keyring lookup error: ${e.message}`);
+        }
+
+        this._updateCountLabel();
+        return account.token !== '';
+    }
+
+    /**
+     * Total number of cached notifications across all accounts.
+     *
+     * @returns {number}
+     */
+    _getTotalCount() {
+        return this._accounts.reduce(
+            (sum, account) => sum + account.notifications.length, 0);
+    }
+
+    /**
+     * Split the cached notifications into what the panel badge shows.
+     *
+     * With `badge-reasons` set, only notifications with one of those
+     * reasons are counted; the rest form the `remainder` shown by the
+     * optional secondary count.  `priority` is the highest
+     * {@link REASON_PRIORITY} among the counted notifications (0 if none).
+     *
+     * @returns {{count: number, remainder: number, priority: number}}
+     */
+    _getBadgeCounts() {
+        const counts = {count: 0, remainder: 0, priority: 0};
+
+        for (const account of this._accounts) {
+            for (const notif of account.notifications) {
+                if (this._badgeReasons.size > 0 &&
+                    !this._badgeReasons.has(notif.reason)) {
+                    counts.remainder++;
+                    continue;
+                }
+
+                counts.count++;
+                counts.priority = Math.max(counts.priority,
+                    REASON_PRIORITY[notif.reason] ?? 1);
+            }
+        }
+
+        return counts;
     }
 
     // ── UI / Panel Indicator ──────────────────────────────────────────────────
@@ -188,9 +698,15 @@ export default class GitHubNotificationsExtension extends Extension {
      *
      * Menu layout:
      *   ┌──────────────────────────────────────┐
+     *   │  [ Search notifications…           ] │
      *   │  (dynamic notification list section)  │
+     *   │   — one sub-section per account       │
+     *   ├──────────────────────────────────────┤
+     *   │  Synced at 14:05:12 · next poll 1:30 │
+     *   │  Retry Now            (after errors) │
      *   ├──────────────────────────────────────┤
      *   │  Mark All Read                       │
+     *   │  Mark All Shown as Done              │
      *   │  Refresh Now                         │
      *   │  Preferences                         │
      *   └──────────────────────────────────────┘
@@ -205,11 +721,27 @@ export default class GitHubNotificationsExtension extends Extension {
         });
         this._indicator.add_child(box);
 
-        /* GitHub icon loaded from the bundled SVG */
-        const icon = new St.Icon({style_class: 'system-status-icon'});
-        icon.gicon = Gio.icon_new_for_string(
+        /* GitHub icon loaded from the bundled SVG; styled by poll errors */
+        this._icon = new St.Icon({style_class: 'system-status-icon'});
+        this._icon.gicon = Gio.icon_new_for_string(
             `${this.path}/github-symbolic.svg`);
-        box.add_child(icon);
+        box.add_child(this._icon);
+
+        /* Padlock shown while a token is stuck in a locked keyring */
+        this._lockIcon = new St.Icon({
+            icon_name: 'changes-prevent-symbolic',
+            style_class: 'system-status-icon github-notifications-locked',
+            visible: false,
+        });
+        box.add_child(this._lockIcon);
+
+        /* Shown while there is no network and polling is paused */
+        this._offlineIcon = new St.Icon({
+            icon_name: 'network-offline-symbolic',
+            style_class: 'system-status-icon github-notifications-offline',
+            visible: false,
+        });
+        box.add_child(this._offlineIcon);
 
         /* Notification count label (hidden when user enables "hide count") */
         this._label = new St.Label({
@@ -220,12 +752,60 @@ export default class GitHubNotificationsExtension extends Extension {
         });
         box.add_child(this._label);
 
+        /* Smaller count of the notifications outside `badge-reasons` */
+        this._secondaryLabel = new St.Label({
+            text: '',
+            style_class: 'github-notifications-secondary-count',
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false,
+        });
+        box.add_child(this._secondaryLabel);
+
         /* ── Popup menu ─────────────────────────────────────────────────── */
 
+        /* Search-as-you-type field filtering the rows below */
+        const searchItem = new PopupMenu.PopupBaseMenuItem({
+            reactive: false,
+            can_focus: false,
+            style_class: 'github-notif-search-item',
+        });
+        this._searchEntry = new St.Entry({
+            hint_text: 'Search notifications\u2026',
+            style_class: 'github-notif-search',
+            can_focus: true,
+            x_expand: true,
+            secondary_icon: new St.Icon({
+                icon_name: 'edit-clear-symbolic',
+                icon_size: 14,
+            }),
+        });
+        this._searchEntry.connect('secondary-icon-clicked', () =>
+            this._searchEntry.set_text(''));
+        this._searchEntry.clutter_text.connect('text-changed', () => {
+            if (this._indicator.menu.isOpen)
+                this._rebuildNotificationList();
+        });
+        searchItem.add_child(this._searchEntry);
+        this._indicator.menu.addMenuItem(searchItem);
+
         /* Dynamic notification-list section, rebuilt each time the menu opens */
         this._notifSection = new PopupMenu.PopupMenuSection();
         this._indicator.menu.addMenuItem(this._notifSection);
 
+        this._indicator.menu.addMenuItem(
+            new PopupMenu.PopupSeparatorMenuItem());
+
+        /* Sync status of every account, kept current while the menu is open */
+        this._statusItem = new PopupMenu.PopupMenuItem('', {
+            reactive: false,
+            style_class: 'github-notif-status',
+        });
+        this._indicator.menu.addMenuItem(this._statusItem);
+
+        this._retryItem = this._indicator.menu.addAction('Retry Now', () => {
+            this._retryNow();
+        });
+
         this._indicator.menu.addMenuItem(
             new PopupMenu.PopupSeparatorMenuItem());
 
@@ -234,9 +814,17 @@ export default class GitHubNotificationsExtension extends Extension {
             this._markAllRead();
         });
 
+        this._indicator.menu.addAction('Mark All Shown as Done', () => {
+            this._markShownDone();
+        });
+
         this._indicator.menu.addAction('Refresh Now', () => {
-            this._stopLoop();
-            this._fetchNotifications();
+            for (const account of this._accounts) {
+                /* Drop the validator so a manual refresh always re-downloads */
+                account.lastModified = null;
+                this._stopLoop(account);
+                this._fetchNotifications(account);
+            }
         });
 
         this._indicator.menu.addAction('Preferences', () => {
@@ -245,47 +833,229 @@ export default class GitHubNotificationsExtension extends Extension {
                     `[GitHub Notifications] Prefs error: ${e.message}`));
         });
 
-        /* Rebuild the notification list every time the menu opens */
+        /* Rebuild the notification list every time the menu opens, and give
+         * the search field keyboard focus; a search ends with the menu */
         this._indicator.menu.connect('open-state-changed', (_menu, open) => {
-            if (open)
-                this._rebuildNotificationList();
+            if (this._statusTimeoutId) {
+                GLib.Source.remove(this._statusTimeoutId);
+                this._statusTimeoutId = null;
+            }
+
+            if (!open) {
+                this._snoozeTarget = null;
+                this._searchEntry.set_text('');
+                return;
+            }
+
+            this._rebuildNotificationList();
+
+            /* "Mark All Read" only covers the rows listed now; redraws
+             * while the menu stays open do not extend it */
+            for (const account of this._accounts)
+                account.seenThreads = new Map();
+            for (const {account, notif} of this._shownThreads)
+                account.seenThreads.set(notif.id, notif.updated_at);
+
+            /* Tick the countdown to the next poll */
+            this._updateStatus();
+            this._statusTimeoutId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT, 1, () => {
+                    this._updateStatus();
+                    return GLib.SOURCE_CONTINUE;
+                });
+
+            /* The menu focuses its first item after this signal; take the
+             * focus back once it has done so */
+            this._searchFocusId ??= GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                this._searchFocusId = null;
+                this._searchEntry?.grab_key_focus();
+                return GLib.SOURCE_REMOVE;
+            });
         });
 
         Main.panel.addToStatusArea(this.uuid, this._indicator);
         this._updateVisibility();
+        this._updateStatus();
     }
 
     /**
      * Tear down and rebuild the notification list inside the popup menu.
      *
      * Called when the menu opens so the list always reflects the latest
-     * cached notifications.  Items beyond {@link MAX_MENU_ITEMS} are
-     * collapsed into an overflow label.
-     *
-     * When a grouping mode is active, notifications are bucketed by the
-     * selected key and each group is preceded by a non-reactive header
-     * label.  The {@link MAX_MENU_ITEMS} cap applies to the total number
-     * of notification rows (headers are not counted).
+     * cached notifications.  With more than one account configured, each
+     * account gets its own section headed by its label and count; a single
+     * account is rendered without a header.  Text in the search field
+     * narrows the list to matching rows across all accounts.  Snoozed
+     * threads are listed in a "Snoozed" submenu at the end; while a row's
+     * snooze button is being answered, the snooze panel replaces the list.
+     * The rendered threads are remembered for "Mark All Shown as Done",
+     * and the newest `updated_at` of each account's list for "Mark All
+     * Read".
      */
     _rebuildNotificationList() {
         this._notifSection.removeAll();
+        this._shownThreads = [];
 
-        if (this._notifications.length === 0) {
-            const emptyItem = new PopupMenu.PopupMenuItem('No notifications', {
-                reactive: false,
-                style_class: 'github-notif-empty',
-            });
+        if (this._snoozeTarget) {
+            this._buildSnoozePanel();
+            return;
+        }
+
+        if (!this._online) {
+            const offlineItem = new PopupMenu.PopupMenuItem(
+                'Offline \u2013 refreshing when the network is back', {
+                    reactive: false,
+                    style_class: 'github-notif-warning',
+                });
+            this._notifSection.addMenuItem(offlineItem);
+        }
+
+        const locked = this._accounts.some(a => a.keyringLocked);
+        const query = this._searchEntry?.get_text().trim().toLowerCase() ?? '';
+
+        /* Matches of the search query per account (everything when empty) */
+        const matches = new Map(this._accounts.map(account => [account,
+            query
+                ? account.notifications.filter(n =>
+                    this._matchesSearch(n, query))
+                : account.notifications]));
+        const total = [...matches.values()]
+            .reduce((sum, list) => sum + list.length, 0);
+
+        if (total === 0 && !locked) {
+            const emptyItem = new PopupMenu.PopupMenuItem(
+                query ? 'No matching notifications' : 'No notifications', {
+                    reactive: false,
+                    style_class: 'github-notif-empty',
+                });
             this._notifSection.addMenuItem(emptyItem);
+            this._addSnoozedSubmenu();
+            this._addHistorySubmenu();
+            this._addQuotaItems();
             return;
         }
 
-        const items = this._notifications.slice(0, MAX_MENU_ITEMS);
+        const showHeaders = this._accounts.length > 1;
+
+        for (const account of this._accounts) {
+            const notifications = matches.get(account);
+
+            if (showHeaders) {
+                const count = notifications.length;
+                const truncated = account.truncated && !query;
+                const header = new PopupMenu.PopupMenuItem(
+                    `${getAccountLabel(account)}  ` +
+                    `(${count}${truncated ? '+' : ''})`, {
+                        reactive: false,
+                        style_class: 'github-notif-account-header',
+                    });
+                this._notifSection.addMenuItem(header);
+            }
+
+            if (account.keyringLocked) {
+                const lockedItem = new PopupMenu.PopupMenuItem(
+                    'Keyring locked \u2013 unlock it to load the token', {
+                        reactive: false,
+                        style_class: 'github-notif-warning',
+                    });
+                this._notifSection.addMenuItem(lockedItem);
+            }
+
+            /* While searching, every match is listed */
+            this._addAccountItems(account, notifications,
+                query ? Infinity : MAX_MENU_ITEMS);
+        }
+
+        this._addSnoozedSubmenu();
+        this._addHistorySubmenu();
+        this._addQuotaItems();
+    }
+
+    /**
+     * Add a line per account showing its remaining API quota, or when a
+     * rate limit ends, to the bottom of the notification list.
+     */
+    _addQuotaItems() {
+        const showLabels = this._accounts.length > 1;
+
+        for (const account of this._accounts) {
+            const core = account.rateLimits.get('core');
+            let text;
+
+            if (this._getRateLimitDelay(account) > 0) {
+                text = 'Rate limit reached \u2013 resuming at ' +
+                    `${this._formatRateLimitReset(account)}`;
+            } else if (core && !Number.isNaN(core.limit) &&
+                !Number.isNaN(core.reset)) {
+                const resetAt = GLib.DateTime.new_from_unix_local(core.reset)
+                    .format('%H:%M');
+                text = `API quota: ${core.remaining} of ${core.limit} ` +
+                    `left, resets at ${resetAt}`;
+            } else {
+                continue;
+            }
+
+            const item = new PopupMenu.PopupMenuItem(
+                showLabels ? `${getAccountLabel(account)}: ${text}` : text, {
+                    reactive: false,
+                    style_class: core && core.remaining < RATE_LIMIT_RESERVE
+                        ? 'github-notif-quota github-notif-warning'
+                        : 'github-notif-quota',
+                });
+            this._notifSection.addMenuItem(item);
+        }
+    }
+
+    /**
+     * Check whether a notification matches a search query.
+     *
+     * Every whitespace-separated word of the query must occur in the
+     * repository name, the subject title, the reason or the subject type
+     * (raw API value or its label), ignoring case.
+     *
+     * @param {Object} notif — GitHub notification object.
+     * @param {string} query — lower-case search text.
+     * @returns {boolean}
+     */
+    _matchesSearch(notif, query) {
+        const type = notif.subject?.type ?? '';
+        const haystack = [
+            notif.repository?.full_name,
+            notif.subject?.title,
+            notif.reason,
+            REASON_LABELS[notif.reason],
+            type,
+            TYPE_LABELS[type],
+        ].filter(s => s).join('\n').toLowerCase();
+
+        return query.split(/\s+/).every(word => haystack.includes(word));
+    }
+
+    /**
+     * Append one account's notification rows to the popup menu.
+     *
+     * Items beyond `limit` are collapsed into an overflow label.  When a
+     * grouping mode is active, notifications are bucketed by the selected
+     * key and each group is preceded by a non-reactive header label.  The
+     * limit applies to the total number of notification rows of the
+     * account (headers are not counted).
+     *
+     * @param {Object} account — account state whose rows to render.
+     * @param {Object[]} notifications — the account's rows to show.
+     * @param {number} limit — maximum number of rows, normally
+     *     {@link MAX_MENU_ITEMS}.
+     */
+    _addAccountItems(account, notifications, limit) {
+        const items = notifications.slice(0, limit);
+
+        for (const notif of items)
+            this._shownThreads.push({account, notif});
 
         if (this._groupBy === 'none' || !this._groupBy) {
             /* Flat list — original behaviour */
             for (const notif of items)
                 this._notifSection.addMenuItem(
-                    this._createNotificationItem(notif));
+                    this._createNotificationItem(account, notif));
         } else {
             /* Grouped list */
             const groups = this._groupNotifications(items, this._groupBy);
@@ -301,15 +1071,15 @@ export default class GitHubNotificationsExtension extends Extension {
 
                 for (const notif of notifs)
                     this._notifSection.addMenuItem(
-                        this._createNotificationItem(notif));
+                        this._createNotificationItem(account, notif));
             }
         }
 
         /* Show overflow indicator when there are more items */
-        if (this._notifications.length > MAX_MENU_ITEMS) {
-            const overflow = this._notifications.length - MAX_MENU_ITEMS;
+        if (notifications.length > limit) {
+            const overflow = notifications.length - limit;
             const moreItem = new PopupMenu.PopupMenuItem(
-                `\u2026 and ${overflow} more`, {
+                `\u2026 and ${overflow}${account.truncated ? '+' : ''} more`, {
                     reactive: false,
                     style_class: 'github-notif-overflow',
                 });
@@ -365,29 +1135,50 @@ export default class GitHubNotificationsExtension extends Extension {
     /**
      * Create a single notification row widget for the popup menu.
      *
-     * Layout:  [type-icon]  [repo / title]  [open-btn]  [mark-read-btn]
+     * Layout:  [type-icon]  [repo / title]  [open-btn]  [snooze-btn]
+     *                                           [mute-btn]  [dismiss-btn]
+     *
+     * For pull requests and issues the type icon reflects the subject's
+     * state (open, draft, merged, closed) once it has been looked up; pull
+     * requests in repositories opted in to CI status get a pass / fail /
+     * pending badge before the buttons.
+     * The dismiss button marks the thread read or done, depending on the
+     * `dismiss-action` setting.
      *
+     * @param {Object} account — account the notification belongs to.
      * @param {Object} notif — GitHub notification object from the API.
      * @returns {PopupMenu.PopupBaseMenuItem}
      */
-    _createNotificationItem(notif) {
+    _createNotificationItem(account, notif) {
         const repoName = notif.repository?.full_name ?? '';
         const title = notif.subject?.title ?? 'Untitled';
         const type = notif.subject?.type ?? '';
 
-        /* Resolve a symbolic icon name for the notification type */
-        const iconName = TYPE_ICONS[type] ?? DEFAULT_ICON;
+        /* Resolve a symbolic icon name for the notification type, or for
+         * the subject's state once it is known */
+        const state = this._getSubjectState(account, notif);
+        const iconName = STATE_ICONS[state] ?? TYPE_ICONS[type] ?? DEFAULT_ICON;
 
         const item = new PopupMenu.PopupBaseMenuItem({
             style_class: 'github-notif-item',
         });
 
-        /* ── Type icon (left) ─────────────────────────────────────────── */
-        item.add_child(new St.Icon({
+        /* Rule actions that change how the row looks */
+        const verdict = account.verdicts.get(notif.id);
+        if (verdict?.pin)
+            item.add_style_class_name('github-notif-pinned');
+        if (verdict?.highlight)
+            item.add_style_class_name('github-notif-highlight');
+
+        /* ── Type icon (left), coloured by subject state ──────────────── */
+        const typeIcon = new St.Icon({
             icon_name: iconName,
             style_class: 'github-notif-type-icon',
             icon_size: 16,
-        }));
+        });
+        if (state)
+            typeIcon.add_style_class_name(`github-notif-state-${state}`);
+        item.add_child(typeIcon);
 
         /* ── Text column: repo name on top, title below ───────────────── */
         const textBox = new St.BoxLayout({
@@ -412,68 +1203,246 @@ export default class GitHubNotificationsExtension extends Extension {
 
         item.add_child(textBox);
 
+        /* ── CI badge for opted-in pull requests ──────────────────────── */
+        const ci = this._getCiStatus(account, notif);
+        if (ci) {
+            item.add_child(new St.Icon({
+                icon_name: CI_ICONS[ci],
+                style_class: `github-notif-ci github-notif-ci-${ci}`,
+                icon_size: 14,
+                y_align: Clutter.ActorAlign.CENTER,
+            }));
+        }
+
         /* ── "Open in browser" button ─────────────────────────────────── */
-        const openBtn = new St.Button({
-            child: new St.Icon({
-                icon_name: 'web-browser-symbolic',
-                icon_size: 16,
-            }),
-            style_class: 'github-notif-btn github-notif-open-btn',
-            can_focus: true,
-            y_align: Clutter.ActorAlign.CENTER,
-        });
-        openBtn.connect('clicked', () => {
-            this._openSingleNotification(notif);
-            this._indicator.menu.close();
+        item.add_child(this._createRowButton(
+            'web-browser-symbolic', 'github-notif-open-btn', () => {
+                this._openSingleNotification(account, notif);
+                this._indicator.menu.close();
+            }));
+
+        /* ── "Snooze" button — opens the snooze panel in the menu ──────── */
+        item.add_child(this._createRowButton(
+            'alarm-symbolic', 'github-notif-snooze-btn', () => {
+                this._snoozeTarget = {account, notif};
+                this._rebuildNotificationList();
+            }));
+
+        /* ── "Mute thread" button ─────────────────────────────────────── */
+        item.add_child(this._createRowButton(
+            'notifications-disabled-symbolic', 'github-notif-mute-btn', () => {
+                this._muteThread(account, notif);
+            }));
+
+        /* ── "Mark as read" / "Mark as done" (dismiss) button ─────────── */
+        const done = this._dismissAction === 'done';
+        item.add_child(this._createRowButton(
+            done ? 'mail-archive-symbolic' : 'object-select-symbolic',
+            done ? 'github-notif-done-btn' : 'github-notif-read-btn', () => {
+                this._dismissThread(account, notif);
+            }));
+
+        /* Clicking the row body also opens the notification */
+        item.connect('activate', () => {
+            this._openSingleNotification(account, notif);
         });
-        item.add_child(openBtn);
 
-        /* ── "Mark as read" (dismiss) button ──────────────────────────── */
-        const readBtn = new St.Button({
+        return item;
+    }
+
+    /**
+     * Create one of the round icon buttons at the end of a notification row.
+     *
+     * @param {string} iconName — symbolic icon shown in the button.
+     * @param {string} styleClass — extra style class for the hover colour.
+     * @param {Function} onClicked — called when the button is clicked.
+     * @returns {St.Button}
+     */
+    _createRowButton(iconName, styleClass, onClicked) {
+        const button = new St.Button({
             child: new St.Icon({
-                icon_name: 'object-select-symbolic',
+                icon_name: iconName,
                 icon_size: 16,
             }),
-            style_class: 'github-notif-btn github-notif-read-btn',
+            style_class: `github-notif-btn ${styleClass}`,
             can_focus: true,
             y_align: Clutter.ActorAlign.CENTER,
         });
-        readBtn.connect('clicked', () => {
-            this._markThreadRead(notif);
-        });
-        item.add_child(readBtn);
-
-        /* Clicking the row body also opens the notification */
-        item.connect('activate', () => {
-            this._openSingleNotification(notif);
-        });
+        button.connect('clicked', onClicked);
 
-        return item;
+        return button;
     }
 
     /**
-     * Update the indicator's visibility and the count label based on the
-     * current settings and notification count.
+     * Show the combined notification count of all accounts in the panel
+     * label.
      *
-     * - If "hide widget" is on, the indicator is hidden when count == 0.
-     * - If "hide count" is on, the numeric label is hidden.
+     * Only reasons listed in `badge-reasons` are counted (all when empty),
+     * and the label's style class reflects the highest-priority reason
+     * among them.  A trailing "+" marks a count that was cut short by the
+     * `max-pages` limit, so the real unread total is at least this number.
+     * A "!" replaces the count while any account's token is being
+     * rejected, and a padlock appears while a token cannot be read from a
+     * locked keyring.  An "offline" icon marks paused polling, and the
+     * GitHub icon takes the style of the most important polling error.
+     * The count is dimmed while it comes from the on-disk cache.
      */
-    _updateVisibility() {
-        if (this._indicator)
-            this._indicator.visible =
-                !this._hideWidget || this._notifications.length > 0;
+    _updateCountLabel() {
+        if (this._lockIcon)
+            this._lockIcon.visible = this._accounts.some(a => a.keyringLocked);
+        if (this._offlineIcon)
+            this._offlineIcon.visible = !this._online;
+
+        if (this._icon) {
+            const errorKind = Object.keys(ERROR_STYLE_CLASSES).find(kind =>
+                this._accounts.some(a => a.lastError?.kind === kind));
+            for (const [kind, styleClass] of
+                Object.entries(ERROR_STYLE_CLASSES)) {
+                if (kind === errorKind)
+                    this._icon.add_style_class_name(styleClass);
+                else
+                    this._icon.remove_style_class_name(styleClass);
+            }
+        }
 
-        if (this._label)
+        if (!this._label)
+            return;
+
+        for (const styleClass of Object.values(PRIORITY_STYLE_CLASSES))
+            this._label.remove_style_class_name(styleClass);
+
+        if (this._accounts.some(a => a.unauthorized)) {
+            this._label.set_text('!');
+            this._secondaryLabel.visible = false;
+            return;
+        }
+
+        const {count, remainder, priority} = this._getBadgeCounts();
+        const truncated = this._accounts.some(a => a.truncated);
+        this._label.set_text(truncated ? `${count}+` : `${count}`);
+
+        /* Dimmed while a list restored from the cache awaits its first poll */
+        if (this._accounts.some(a => a.cachedAt !== null))
+            this._label.add_style_class_name(STALE_STYLE_CLASS);
+        else
+            this._label.remove_style_class_name(STALE_STYLE_CLASS);
+
+        if (priority > 0)
+            this._label.add_style_class_name(PRIORITY_STYLE_CLASSES[priority]);
+
+        this._secondaryLabel.set_text(`${remainder}`);
+        this._secondaryLabel.visible = !this._hideCount &&
+            this._showSecondaryCount && remainder > 0;
+    }
+
+    /**
+     * Update the indicator's visibility and the count label based on the
+     * current settings and notification count.
+     *
+     * - If "hide widget" is on, the indicator is hidden when nothing would
+     *   be counted — neither in the badge nor in the secondary count.
+     * - If "hide count" is on, the numeric label is hidden (the secondary
+     *   count follows it in {@link _updateCountLabel}).
+     */
+    _updateVisibility() {
+        if (this._indicator) {
+            const {count, remainder} = this._getBadgeCounts();
+            const shown = this._showSecondaryCount ? count + remainder : count;
+            this._indicator.visible = !this._hideWidget || shown > 0;
+        }
+
+        if (this._label)
             this._label.visible = !this._hideCount;
     }
 
+    /**
+     * Refresh the sync status row of the popup menu.
+     *
+     * Per account it shows the time of the last successful poll (or of
+     * the cached list shown until then) and the countdown to the next
+     * one, plus the last error and the back-off step while polls are
+     * failing.  The "Retry Now" action is only offered while some account
+     * has an error.
+     */
+    _updateStatus() {
+        if (!this._statusItem)
+            return;
+
+        const showLabels = this._accounts.length > 1;
+        const lines = [];
+
+        for (const account of this._accounts) {
+            const parts = ['Not synced yet'];
+            if (account.lastSync) {
+                const time = GLib.DateTime.new_from_unix_local(
+                    Math.floor(account.lastSync / 1000)).format('%H:%M:%S');
+                parts[0] = `Synced at ${time}`;
+            } else if (account.cachedAt) {
+                const time = GLib.DateTime.new_from_unix_local(
+                    Math.floor(account.cachedAt / 1000)).format('%a %H:%M');
+                parts[0] = `Showing cached list from ${time}`;
+            }
+
+            if (!this._online)
+                parts.push('paused while offline');
+            else if (account.nextPollAt)
+                parts.push(`next poll in ${this._formatCountdown(account)}`);
+            else
+                parts.push('syncing\u2026');
+
+            const line = parts.join(' \u00B7 ');
+            lines.push(
+                showLabels ? `${getAccountLabel(account)}: ${line}` : line);
+
+            if (account.lastError?.kind === 'rate-limit') {
+                const notice = account.lastError.message;
+                lines.push(showLabels ? `    ${notice}` : notice);
+            } else if (account.lastError) {
+                const step =
+                    Math.min(account.retryAttempts, RETRY_INTERVALS.length);
+                let error = `Error: ${account.lastError.message}`;
+                if (step > 0) {
+                    error += ` \u00B7 back-off ${step} of ` +
+                        `${RETRY_INTERVALS.length}`;
+                }
+                lines.push(showLabels ? `    ${error}` : error);
+            }
+        }
+
+        /* Retrying cannot end a rate limit early */
+        const failing = this._accounts.some(a =>
+            a.lastError && a.lastError.kind !== 'rate-limit');
+
+        this._statusItem.label.set_text(lines.join('\n'));
+        this._statusItem.visible = lines.length > 0;
+        if (failing)
+            this._statusItem.add_style_class_name(STATUS_ERROR_STYLE_CLASS);
+        else
+            this._statusItem.remove_style_class_name(STATUS_ERROR_STYLE_CLASS);
+
+        this._retryItem.visible = failing;
+    }
+
+    /**
+     * Format the time left until an account's next poll as "m:ss".
+     *
+     * @param {Object} account — account with a scheduled poll.
+     * @returns {string}
+     */
+    _formatCountdown(account) {
+        const secs = Math.max(0,
+            Math.ceil((account.nextPollAt - Date.now()) / 1000));
+        return `${Math.floor(secs / 60)}:` +
+            `${String(secs % 60).padStart(2, '0')}`;
+    }
+
     // ── HTTP Session ──────────────────────────────────────────────────────────
 
     /**
      * (Re)create the Soup HTTP session.
      *
-     * Called once during {@link enable} and again if the user changes the
-     * domain or token settings so stale connections are dropped.
+     * Called once during {@link enable}.  The session is shared by all
+     * accounts; credentials are attached per request.
      */
     _initHttp() {
         if (this._httpSession)
@@ -488,20 +1457,17 @@ export default class GitHubNotificationsExtension extends Extension {
      * Build the full API URL for the GitHub Notifications endpoint.
      *
      * Standard GitHub:   https://api.github.com/notifications
-     * GitHub Enterprise:  https://DOMAIN/api/v3/notifications
+     * GitHub Enterprise:  https://HOST/api/v3/notifications
      *
+     * @param {Object} account — account whose host and filter to use.
      * @param {string} [path='notifications'] — API path segment.
      * @param {boolean} [addParticipating=true] — append ?participating=true when enabled.
      * @returns {string} The API URL.
      */
-    _buildApiUrl(path = 'notifications', addParticipating = true) {
-        const base = this._domain === 'github.com'
-            ? `https://api.github.com`
-            : `https://${this._domain}/api/v3`;
-
-        let url = `${base}/${path}`;
+    _buildApiUrl(account, path = 'notifications', addParticipating = true) {
+        let url = `${getApiBase(account.host)}/${path}`;
         if (addParticipating && path === 'notifications' &&
-            this._participatingOnly)
+            account.participatingOnly)
             url += '?participating=true';
 
         return url;
@@ -511,268 +1477,2234 @@ export default class GitHubNotificationsExtension extends Extension {
      * Determine the effective polling interval in seconds.
      *
      * The interval is the larger of the user-configured refresh interval and
-     * the server-provided {@link _githubInterval} (from X-Poll-Interval).
+     * the server-provided `githubInterval` (from X-Poll-Interval).
      * During exponential back-off (after errors), the back-off value may
      * dominate.
      *
+     * @param {Object} account — account whose loop is being scheduled.
      * @returns {number} Seconds until next fetch.
      */
-    _getEffectiveInterval() {
+    _getEffectiveInterval(account) {
         let interval = this._refreshInterval;
 
-        if (this._retryAttempts > 0) {
+        if (account.retryAttempts > 0) {
             const idx = Math.min(
-                this._retryAttempts - 1,
+                account.retryAttempts - 1,
                 RETRY_INTERVALS.length - 1);
             interval = RETRY_INTERVALS[idx];
         }
 
-        return Math.max(interval, this._githubInterval);
+        return Math.max(interval, account.githubInterval);
     }
 
     // ── Polling Loop ──────────────────────────────────────────────────────────
 
     /**
-     * Cancel any pending poll timeout.
+     * Cancel an account's pending poll timeout.
      *
      * Uses `GLib.Source.remove()` as recommended by GNOME Shell guidelines.
+     *
+     * @param {Object} account — account whose loop to stop.
      */
-    _stopLoop() {
-        if (this._timeoutId) {
-            GLib.Source.remove(this._timeoutId);
-            this._timeoutId = null;
+    _stopLoop(account) {
+        if (account.timeoutId) {
+            GLib.Source.remove(account.timeoutId);
+            account.timeoutId = null;
         }
+        account.nextPollAt = null;
     }
 
     /**
-     * Schedule the next notification fetch after a delay.
+     * Schedule an account's next notification fetch after a delay.
      *
+     * @param {Object} account — account to fetch for.
      * @param {number} delaySecs — seconds to wait before fetching.
      * @param {boolean} isRetry  — if true, increment the back-off counter.
      */
-    _scheduleFetch(delaySecs, isRetry) {
+    _scheduleFetch(account, delaySecs, isRetry) {
         if (isRetry)
-            this._retryAttempts++;
+            account.retryAttempts++;
         else
-            this._retryAttempts = 0;
+            account.retryAttempts = 0;
 
-        this._stopLoop();
-        this._timeoutId = GLib.timeout_add_seconds(
+        this._stopLoop(account);
+        account.nextPollAt = Date.now() + delaySecs * 1000;
+        account.timeoutId = GLib.timeout_add_seconds(
             GLib.PRIORITY_DEFAULT,
             delaySecs,
             () => {
-                this._fetchNotifications();
-                this._timeoutId = null;
+                account.timeoutId = null;
+                account.nextPollAt = null;
+                this._fetchNotifications(account);
                 return GLib.SOURCE_REMOVE;
             },
         );
+        this._updateStatus();
     }
 
-    // ── GitHub API ────────────────────────────────────────────────────────────
+    /**
+     * Record a successful poll of an account; a list restored from the
+     * cache is no longer stale.
+     *
+     * @param {Object} account
+     */
+    _recordSync(account) {
+        account.lastSync = Date.now();
+        account.lastError = null;
+        account.cachedAt = null;
+        this._updateCountLabel();
+        this._updateStatus();
+    }
 
     /**
-     * Fetch unread notifications from the GitHub API.
+     * Record a failed poll of an account for the status row and the panel
+     * icon.
      *
-     * On success, updates the cached list and schedules the next poll.
-     * On failure, enters exponential back-off.
+     * @param {Object} account
+     * @param {string} kind — "auth", "server", "network" (see
+     *     {@link ERROR_STYLE_CLASSES}) or "rate-limit".
+     * @param {string} message — HTTP status or exception message.
      */
-    async _fetchNotifications() {
-        if (!this._token || !this._httpSession) {
-            this._scheduleFetch(this._getEffectiveInterval(), false);
-            return;
-        }
+    _recordError(account, kind, message) {
+        account.lastError = {kind, message};
+        this._updateCountLabel();
+        this._updateStatus();
+    }
 
-        const url = this._buildApiUrl();
-        const message = Soup.Message.new('GET', url);
+    /**
+     * Create a GitHub API request authenticated as the given account.
+     *
+     * @param {Object} account — account whose token to send.
+     * @param {string} method — HTTP method.
+     * @param {string} url — absolute API URL.
+     * @returns {Soup.Message}
+     */
+    _createApiMessage(account, method, url) {
+        const message = Soup.Message.new(method, url);
 
         /* Bearer token auth (modern GitHub approach) */
         message.get_request_headers().append(
-            'Authorization', `Bearer ${this._token}`);
+            'Authorization', `Bearer ${account.token}`);
         message.get_request_headers().append(
             'Accept', 'application/vnd.github+json');
 
+        return message;
+    }
+
+    /**
+     * Send an authenticated API request and record the rate-limit headers
+     * of the reply.
+     *
+     * Every request to GitHub goes through here.  While the account is rate
+     * limited the request is not sent at all.
+     *
+     * @param {Object} account — account the request is made for.
+     * @param {Soup.Message} message — request built by
+     *     {@link _createApiMessage}.
+     * @returns {Promise<GLib.Bytes>} The response body.
+     */
+    async _sendApiMessage(account, message) {
+        if (this._getRateLimitDelay(account) > 0) {
+            throw new Error(
+                `Rate limited until ${this._formatRateLimitReset(account)}`);
+        }
+
+        const bytes = await this._httpSession.send_and_read_async(
+            message, GLib.PRIORITY_DEFAULT, null);
+        this._trackRateLimit(account, message);
+
+        return bytes;
+    }
+
+    /**
+     * Remember the quota reported by a reply and detect rate-limit errors.
+     *
+     * GitHub reports the quota of each resource ("core", "graphql", …) in
+     * the `X-RateLimit-*` headers.  A 403 or 429 reply is a rate-limit
+     * error when it carries `Retry-After` (secondary limit) or when the
+     * remaining quota is zero (primary limit); the account then waits for
+     * `Retry-After` seconds, or until `X-RateLimit-Reset`.  A 429 without
+     * either header waits one minute, as GitHub recommends.
+     *
+     * @param {Object} account — account the request was made for.
+     * @param {Soup.Message} message — the completed request.
+     */
+    _trackRateLimit(account, message) {
+        const headers = message.get_response_headers();
+        if (!headers)
+            return;
+
+        const limit = parseInt(headers.get_one('X-RateLimit-Limit'), 10);
+        const remaining =
+            parseInt(headers.get_one('X-RateLimit-Remaining'), 10);
+        const reset = parseInt(headers.get_one('X-RateLimit-Reset'), 10);
+        const resource = headers.get_one('X-RateLimit-Resource') ?? 'core';
+
+        if (!Number.isNaN(remaining))
+            account.rateLimits.set(resource, {limit, remaining, reset});
+
+        const status = message.get_status();
+        if (status !== Soup.Status.FORBIDDEN &&
+            status !== HTTP_TOO_MANY_REQUESTS)
+            return;
+
+        const nowSecs = Math.floor(Date.now() / 1000);
+        const retryAfter = parseInt(headers.get_one('Retry-After'), 10);
+
+        let waitSecs;
+        if (!Number.isNaN(retryAfter))
+            waitSecs = retryAfter;
+        else if (remaining === 0 && !Number.isNaN(reset))
+            waitSecs = reset - nowSecs + 1;
+        else if (status === HTTP_TOO_MANY_REQUESTS)
+            waitSecs = 60;
+        else    /* an ordinary 403, e.g. missing permissions */
+            return;
+
+        account.rateLimitedUntil = (nowSecs + Math.max(waitSecs, 1)) * 1000;
+        console.error(
+            `[GitHub Notifications] Rate limited for ${getAccountLabel(account)} until ${this._formatRateLimitReset(account)}`);
+    }
+
+    /**
+     * Return how long an account must wait before its next request.
+     *
+     * @param {Object} account
+     * @returns {number} Whole seconds; 0 when it is not rate limited.
+     */
+    _getRateLimitDelay(account) {
+        return Math.max(0,
+            Math.ceil((account.rateLimitedUntil - Date.now()) / 1000));
+    }
+
+    /**
+     * Format the time an account's rate limit ends, e.g. "14:05".
+     *
+     * @param {Object} account
+     * @returns {string}
+     */
+    _formatRateLimitReset(account) {
+        return GLib.DateTime.new_from_unix_local(
+            Math.ceil(account.rateLimitedUntil / 1000)).format('%H:%M');
+    }
+
+    /**
+     * Check whether an account has quota to spare for optional requests
+     * (subject states, CI status, comment anchors).
+     *
+     * Below {@link RATE_LIMIT_RESERVE} remaining requests these are skipped
+     * so polling and the user's own actions keep working until the reset.
+     *
+     * @param {Object} account
+     * @returns {boolean}
+     */
+    _hasSpareQuota(account) {
+        if (this._getRateLimitDelay(account) > 0)
+            return false;
+
+        const core = account.rateLimits.get('core');
+        return !core || core.remaining >= RATE_LIMIT_RESERVE;
+    }
+
+    // ── Connectivity ──────────────────────────────────────────────────────────
+
+    /**
+     * Start following network availability and system sleep.
+     *
+     * Polling pauses while `Gio.NetworkMonitor` reports no network, so the
+     * back-off ladder is not climbed for nothing, and every account is
+     * fetched again with a fresh back-off once the network returns or the
+     * machine resumes from suspend (logind's `PrepareForSleep` signal).
+     */
+    _initConnectivity() {
+        this._networkMonitor = Gio.NetworkMonitor.get_default();
+        this._online = this._networkMonitor.network_available;
+        this._networkChangedId = this._networkMonitor.connect(
+            'network-changed', (_monitor, available) =>
+                this._onNetworkChanged(available));
+
+        this._sleepSignalId = Gio.DBus.system.signal_subscribe(
+            'org.freedesktop.login1',
+            'org.freedesktop.login1.Manager',
+            'PrepareForSleep',
+            '/org/freedesktop/login1',
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (_conn, _sender, _path, _iface, _signal, params) => {
+                const [sleeping] = params.deepUnpack();
+                if (!sleeping)
+                    this._scheduleResume(RESUME_DELAY);
+            });
+    }
+
+    /**
+     * Stop following network availability and system sleep.
+     */
+    _destroyConnectivity() {
+        if (this._resumeTimeoutId) {
+            GLib.Source.remove(this._resumeTimeoutId);
+            this._resumeTimeoutId = null;
+        }
+
+        if (this._networkChangedId) {
+            this._networkMonitor.disconnect(this._networkChangedId);
+            this._networkChangedId = null;
+        }
+        this._networkMonitor = null;
+
+        if (this._sleepSignalId) {
+            Gio.DBus.system.signal_unsubscribe(this._sleepSignalId);
+            this._sleepSignalId = null;
+        }
+    }
+
+    /**
+     * React to `network-changed`: pause every polling loop when the
+     * network goes away and resume them when it comes back.
+     *
+     * The signal also fires while staying online (e.g. on a Wi-Fi roam);
+     * only a change of availability is acted on.
+     *
+     * @param {boolean} available — whether a network is available.
+     */
+    _onNetworkChanged(available) {
+        if (available === this._online)
+            return;
+
+        this._online = available;
+
+        if (available) {
+            this._scheduleResume(RECONNECT_DELAY);
+        } else {
+            if (this._resumeTimeoutId) {
+                GLib.Source.remove(this._resumeTimeoutId);
+                this._resumeTimeoutId = null;
+            }
+
+            for (const account of this._accounts)
+                this._stopLoop(account);
+        }
+
+        this._updateCountLabel();
+        this._updateStatus();
+        if (this._indicator?.menu.isOpen)
+            this._rebuildNotificationList();
+    }
+
+    /**
+     * Fetch every account shortly, with its back-off reset.
+     *
+     * The delay lets DNS and routes settle after a reconnect or resume;
+     * repeated calls within it collapse into one refresh.
+     *
+     * @param {number} delaySecs — seconds to wait before fetching.
+     */
+    _scheduleResume(delaySecs) {
+        if (this._resumeTimeoutId)
+            GLib.Source.remove(this._resumeTimeoutId);
+
+        this._resumeTimeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            delaySecs,
+            () => {
+                this._resumeTimeoutId = null;
+                this._retryNow();
+                return GLib.SOURCE_REMOVE;
+            },
+        );
+    }
+
+    // ── GitHub API ────────────────────────────────────────────────────────────
+
+    /**
+     * Extract the `rel="next"` target from an RFC 8288 `Link` header.
+     *
+     * GitHub paginates list endpoints and advertises the following page as
+     *   <https://api.github.com/notifications?page=2>; rel="next", ...
+     *
+     * @param {string|null} linkHeader — raw `Link` response header.
+     * @returns {string|null} URL of the next page, or null on the last page.
+     */
+    _getNextPageUrl(linkHeader) {
+        if (!linkHeader)
+            return null;
+
+        for (const part of linkHeader.split(',')) {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+            if (match)
+                return match[1];
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetch an account's unread notifications from the GitHub API.
+     *
+     * Follows `Link: rel="next"` pagination up to the configured
+     * `max-pages` limit and merges every page before handing the full set
+     * to {@link _updateNotifications}.  A failure on any page aborts the
+     * whole fetch so a partial list never replaces the cached one.
+     *
+     * The first page is requested conditionally: the `Last-Modified` value
+     * of the previous response is sent as `If-Modified-Since`, and a
+     * 304 Not Modified reply (which does not count against the rate limit)
+     * keeps the cached list and schedules the next poll normally.
+     *
+     * On success, updates the cached list and schedules the next poll.
+     * On failure, enters exponential back-off for this account only; a
+     * rate-limit reply instead waits exactly until the quota resets.
+     * Nothing is requested (or scheduled) while the network is down.
+     *
+     * @param {Object} account — account to fetch for.
+     */
+    async _fetchNotifications(account) {
+        /* Catch snoozes that expired while the timer could not fire */
+        this._wakeExpiredSnoozes();
+
+        /* Paused while offline; _onNetworkChanged() restarts the loop */
+        if (!this._online)
+            return;
+
+        const hasToken = await this._ensureToken(account);
+
+        /* Guard: extension may have been disabled (or the account removed)
+         * during await */
+        if (!this._httpSession || !this._accounts.includes(account))
+            return;
+
+        if (!hasToken) {
+            this._scheduleFetch(
+                account, this._getEffectiveInterval(account), false);
+            return;
+        }
+
+        /* A rate limit hit by any request holds polling until it ends */
+        const rateLimitDelay = this._getRateLimitDelay(account);
+        if (rateLimitDelay > 0) {
+            this._recordError(account, 'rate-limit', 'Rate limited until ' +
+                this._formatRateLimitReset(account));
+            this._scheduleFetch(account, rateLimitDelay, false);
+            return;
+        }
+
+        const firstUrl = this._buildApiUrl(account);
+        let url = `${firstUrl}${firstUrl.includes('?') ? '&' : '?'}` +
+            `per_page=${NOTIFICATIONS_PER_PAGE}`;
+
+        /* Keyed by thread id: a thread can shift onto the next page when
+         * new activity arrives between page requests. */
+        const merged = new Map();
+        let pages = 0;
+        let lastModified = null;
+
         try {
-            const bytes = await this._httpSession.send_and_read_async(
-                message, GLib.PRIORITY_DEFAULT, null);
+            while (url && pages < this._maxPages) {
+                const message = this._createApiMessage(account, 'GET', url);
 
-            /* Guard: extension may have been disabled during await */
-            if (!this._httpSession)
-                return;
+                /* Only the first page carries the validator */
+                if (pages === 0 && account.lastModified) {
+                    message.get_request_headers().append(
+                        'If-Modified-Since', account.lastModified);
+                }
 
-            const status = message.get_status();
+                const bytes = await this._sendApiMessage(account, message);
 
-            if (status === Soup.Status.OK) {
+                /* Guard: extension may have been disabled (or the account
+                 * removed) during await */
+                if (!this._httpSession || !this._accounts.includes(account))
+                    return;
+
+                const status = message.get_status();
                 const responseHeaders = message.get_response_headers();
 
                 /* Respect GitHub's requested poll interval */
                 const pollInterval =
                     responseHeaders.get_one('X-Poll-Interval');
                 if (pollInterval)
-                    this._githubInterval = parseInt(pollInterval, 10) || 60;
+                    account.githubInterval = parseInt(pollInterval, 10) || 60;
+
+                /* 304 — nothing changed since the last poll; keep the cache */
+                if (status === Soup.Status.NOT_MODIFIED && pages === 0) {
+                    /* Pending CI runs still change without a new poll result */
+                    this._queueSubjectStates(account);
+                    this._recordSync(account);
+                    this._scheduleFetch(
+                        account, this._getEffectiveInterval(account), false);
+                    return;
+                }
+
+                /* 401 — likely a revoked or invalid token */
+                if (status === Soup.Status.UNAUTHORIZED) {
+                    console.error(
+                        `[GitHub Notifications] 401 Unauthorized – check token for ${getAccountLabel(account)}`);
+                    account.unauthorized = true;
+                    this._recordError(
+                        account, 'auth', 'HTTP 401 Unauthorized');
+                    this._scheduleFetch(
+                        account, this._getEffectiveInterval(account), true);
+                    return;
+                }
+
+                /* 403 / 429 — rate limited; sleep until the quota resets */
+                const limitedFor = this._getRateLimitDelay(account);
+                if (limitedFor > 0) {
+                    this._recordError(account, 'rate-limit',
+                        'Rate limited until ' +
+                        this._formatRateLimitReset(account));
+                    this._scheduleFetch(account, limitedFor, false);
+                    return;
+                }
+
+                /* Any other HTTP error — log for debugging */
+                if (status !== Soup.Status.OK) {
+                    console.error(
+                        `[GitHub Notifications] HTTP ${status} for ${getAccountLabel(account)}`);
+                    this._recordError(account, 'server',
+                        `HTTP ${status} ${Soup.Status.get_phrase(status)}`);
+                    this._scheduleFetch(
+                        account, this._getEffectiveInterval(account), true);
+                    return;
+                }
+
+                if (pages === 0)
+                    lastModified = responseHeaders.get_one('Last-Modified');
 
                 /* Parse the notification payload */
-                if (bytes) {
-                    const data = bytes.get_data();
-                    if (data) {
-                        const text = new TextDecoder('utf-8').decode(data);
-                        const parsed = JSON.parse(text);
-                        if (Array.isArray(parsed))
-                            this._updateNotifications(parsed);
-                        else
-                            console.error(
-                                '[GitHub Notifications] Unexpected API response (not an array)');
+                const data = bytes?.get_data();
+                if (data) {
+                    const text = new TextDecoder('utf-8').decode(data);
+                    const parsed = JSON.parse(text);
+                    if (!Array.isArray(parsed)) {
+                        console.error(
+                            '[GitHub Notifications] Unexpected API response (not an array)');
+                        this._recordError(account, 'server',
+                            'Unexpected API response');
+                        this._scheduleFetch(
+                            account, this._getEffectiveInterval(account),
+                            true);
+                        return;
+                    }
+
+                    for (const notif of parsed) {
+                        if (!merged.has(notif.id))
+                            merged.set(notif.id, notif);
                     }
                 }
 
-                this._scheduleFetch(
-                    this._getEffectiveInterval(), false);
-                return;
-            }
+                url = this._getNextPageUrl(responseHeaders.get_one('Link'));
+                pages++;
+            }
+
+            /* A remaining next link means max-pages cut the list short */
+            account.truncated = url !== null;
+            account.unauthorized = false;
+            this._updateNotifications(account, [...merged.values()]);
+
+            /* Only commit the validator once every page has been merged,
+             * so a failed page is never masked by a later 304. */
+            account.lastModified = lastModified;
+
+            this._recordSync(account);
+            this._saveCache();
+            this._scheduleFetch(
+                account, this._getEffectiveInterval(account), false);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Fetch error: ${e.message}`);
+            /* Soup reports connection and DNS failures as GLib errors */
+            this._recordError(account,
+                e instanceof GLib.Error ? 'network' : 'server', e.message);
+            this._scheduleFetch(
+                account, this._getEffectiveInterval(account), true);
+        }
+    }
+
+    /**
+     * GET an API URL and parse the JSON reply.
+     *
+     * @param {Object} account — account whose token to use.
+     * @param {string} url — full API URL.
+     * @returns {Promise<Object|null>} Null on any HTTP or parse error.
+     */
+    async _getJson(account, url) {
+        if (!account.token || !this._httpSession)
+            return null;
+
+        const message = this._createApiMessage(account, 'GET', url);
+
+        try {
+            const bytes = await this._sendApiMessage(account, message);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._httpSession)
+                return null;
+
+            if (message.get_status() !== Soup.Status.OK || !bytes)
+                return null;
+
+            const data = bytes.get_data();
+            if (!data)
+                return null;
+
+            return JSON.parse(new TextDecoder('utf-8').decode(data));
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Request to ${url} failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Mark every notification of every account as read, after an undo
+     * window.
+     *
+     * The threads listed when the menu was opened are hidden right away
+     * and a desktop notification offers "Undo" for
+     * {@link MARK_ALL_READ_UNDO_DELAY} seconds; only then are the
+     * requests sent (see {@link _markAccountRead}).  Threads updated after
+     * the menu opened stay unread.
+     */
+    _markAllRead() {
+        const countShown = () => this._accounts
+            .reduce((sum, a) => sum + a.notifications.length, 0);
+        const before = countShown();
+
+        for (const account of this._accounts) {
+            if (account.seenThreads.size) {
+                account.pendingRead = new Map([
+                    ...account.pendingRead ?? [],
+                    ...account.seenThreads,
+                ]);
+            }
+        }
+
+        this._refilterNotifications();
+        this._updateCountLabel();
+        this._updateVisibility();
+
+        const hidden = before - countShown();
+        if (hidden <= 0)
+            return;
+
+        this._sendMarkAllReadUndoNotification(hidden);
+
+        /* A second "Mark All Read" restarts the window */
+        if (this._markAllReadTimeoutId)
+            GLib.Source.remove(this._markAllReadTimeoutId);
+
+        this._markAllReadTimeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            MARK_ALL_READ_UNDO_DELAY,
+            () => {
+                this._markAllReadTimeoutId = null;
+                this._commitMarkAllRead();
+                return GLib.SOURCE_REMOVE;
+            },
+        );
+    }
+
+    /**
+     * Cancel a pending "Mark All Read" and show the hidden threads again.
+     */
+    _undoMarkAllRead() {
+        if (this._markAllReadTimeoutId) {
+            GLib.Source.remove(this._markAllReadTimeoutId);
+            this._markAllReadTimeoutId = null;
+        }
+
+        for (const account of this._accounts)
+            account.pendingRead = null;
+
+        this._refilterNotifications();
+        this._updateCountLabel();
+        this._updateVisibility();
+    }
+
+    /**
+     * Send the pending "Mark All Read" once its undo window has passed.
+     */
+    _commitMarkAllRead() {
+        this._markAllReadNotification?.destroy();
+
+        for (const account of this._accounts) {
+            if (account.pendingRead)
+                this._markAccountRead(account, account.pendingRead);
+        }
+    }
+
+    /**
+     * Mark the threads a "Mark All Read" covered as read via the GitHub
+     * API.
+     *
+     * A single `PUT notifications` with `last_read_at` marks everything
+     * up to that time read, so it is only used when the threads are
+     * exactly the account's unread threads up to their newest
+     * `updated_at`.  When snoozed, filtered, rule-hidden or unlisted
+     * threads fall in that range, the threads are marked read one at a
+     * time instead, so the others stay unread.  Either way the threads
+     * hidden by the pending "Mark All Read" are released afterwards, so
+     * those that failed are shown again.
+     *
+     * @param {Object} account — account whose inbox to clear.
+     * @param {Map<string, string>} threads — thread id → `updated_at` of
+     *     the threads to mark read.
+     */
+    async _markAccountRead(account, threads) {
+        if (!account.token || !this._httpSession) {
+            this._releasePendingRead(account, threads);
+            return;
+        }
+
+        const lastReadAt = [...threads.values()].reduce(
+            (latest, updatedAt) =>
+                Date.parse(updatedAt) > Date.parse(latest)
+                    ? updatedAt : latest);
+        const readUntil = Date.parse(lastReadAt);
+
+        const coversOthers = account.truncated ||
+            account.fetched.some(n =>
+                Date.parse(n.updated_at) <= readUntil &&
+                threads.get(n.id) !== n.updated_at);
+
+        if (coversOthers) {
+            for (const [id, updatedAt] of threads) {
+                const notif = account.fetched.find(n =>
+                    n.id === id && n.updated_at === updatedAt);
+
+                /* One at a time, like _markShownDone */
+                if (notif)
+                    await this._markThreadRead(account, notif);
+
+                /* Guard: extension may have been disabled during await */
+                if (!this._httpSession)
+                    return;
+            }
+
+            this._releasePendingRead(account, threads);
+            return;
+        }
+
+        const url = this._buildApiUrl(account, 'notifications', false);
+        const message = this._createApiMessage(account, 'PUT', url);
+
+        const body = JSON.stringify({
+            last_read_at: lastReadAt,
+        });
+        message.set_request_body_from_bytes(
+            'application/json',
+            new GLib.Bytes(new TextEncoder().encode(body)),
+        );
+
+        try {
+            await this._sendApiMessage(account, message);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._httpSession)
+                return;
+
+            const status = message.get_status();
+
+            /* 205, 200, or 204 all indicate success; 202 means GitHub
+             * marks them read in the background */
+            if (status === Soup.Status.RESET_CONTENT ||
+                status === Soup.Status.ACCEPTED ||
+                status === Soup.Status.OK ||
+                status === Soup.Status.NO_CONTENT) {
+                account.fetched = account.fetched.filter(n =>
+                    Date.parse(n.updated_at) > readUntil);
+                account.truncated = false;
+                this._saveCache();
+            } else {
+                console.error(
+                    `[GitHub Notifications] Mark-all-read failed: HTTP ${status}`);
+            }
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Mark-all-read error: ${e.message}`);
+        }
+
+        this._releasePendingRead(account, threads);
+    }
+
+    /**
+     * End an account's pending "Mark All Read" and re-filter its list.
+     *
+     * A newer "Mark All Read" started in the meantime is left pending.
+     *
+     * @param {Object} account
+     * @param {Map<string, string>} threads — the threads that were sent.
+     */
+    _releasePendingRead(account, threads) {
+        if (!this._settings || account.pendingRead !== threads)
+            return;
+
+        account.pendingRead = null;
+        this._refilterNotifications();
+        this._updateCountLabel();
+        this._updateVisibility();
+    }
+
+    // ── Notification Handling ─────────────────────────────────────────────────
+
+    /**
+     * Replace the cached notification list with fresh data from the API.
+     *
+     * The unfiltered data is kept in `fetched`; the repository filters and
+     * rules are applied before anything else sees it, and threads the rules
+     * auto-read or auto-mute are sent to GitHub here.  The previous and new
+     * filtered lists are compared with {@link _diffNotifications} and the
+     * result is handed to {@link _handleNotificationDiff}, which drives
+     * alerts and the badge animation.
+     *
+     * @param {Object} account — account the data was fetched for.
+     * @param {Object[]} data — array of notification objects from GitHub.
+     */
+    _updateNotifications(account, data) {
+        account.fetched = data;
+
+        const woken = this._wakeUpdatedSnoozes(account, data);
+        const visible = this._applyFilters(account, data);
+        const diff = this._diffNotifications(account.notifications, visible);
+        account.notifications = visible;
+
+        this._updateCountLabel();
+        this._updateVisibility();
+
+        this._runRuleActions(account, data);
+        this._handleNotificationDiff(account, diff, woken);
+        this._queueSubjectStates(account);
+    }
+
+    /**
+     * Run the filter pipeline over a fetched list.
+     *
+     * Notifications from repositories excluded by the `repo-allowlist` /
+     * `repo-blocklist` settings, snoozed threads and threads hidden by a
+     * pending "Mark All Read" are dropped, the rules are evaluated for
+     * the rest (stored in `account.verdicts`), threads that a rule marks
+     * read or mutes are dropped too, and pinned threads are moved to the
+     * top.
+     *
+     * @param {Object} account — account the data belongs to.
+     * @param {Object[]} data — unfiltered notification objects.
+     * @returns {Object[]} The notifications to count, list and alert on.
+     */
+    _applyFilters(account, data) {
+        account.verdicts = new Map();
+
+        const visible = [];
+
+        for (const notif of data) {
+            if (!this._repoFilter(notif.repository?.full_name ?? '') ||
+                this._isSnoozed(account, notif) ||
+                account.pendingRead?.get(notif.id) === notif.updated_at)
+                continue;
+
+            const verdict = evaluateRules(this._rules, notif);
+            account.verdicts.set(notif.id, verdict);
+
+            if (!verdict.markRead && !verdict.mute)
+                visible.push(notif);
+        }
+
+        /* Stable sort: pinned threads first, API order otherwise */
+        return visible.sort((a, b) =>
+            account.verdicts.get(b.id).pin - account.verdicts.get(a.id).pin);
+    }
+
+    /**
+     * Send the "mark-read" and "mute" rule actions to GitHub.
+     *
+     * These threads are already hidden by {@link _applyFilters}; once
+     * GitHub has marked them read they are no longer returned at all.
+     * Each thread update is sent once, even if the request fails or the
+     * next poll still returns it, and the requests run one at a time.
+     *
+     * @param {Object} account — account the data belongs to.
+     * @param {Object[]} data — unfiltered notification objects.
+     */
+    async _runRuleActions(account, data) {
+        const keys = new Set(data.map(n => `${n.id}@${n.updated_at}`));
+
+        /* Forget threads that are no longer returned */
+        for (const key of account.ruleActionsSent) {
+            if (!keys.has(key))
+                account.ruleActionsSent.delete(key);
+        }
+
+        const pending = [];
+        for (const notif of data) {
+            const verdict = account.verdicts.get(notif.id);
+            const key = `${notif.id}@${notif.updated_at}`;
+
+            if ((verdict?.mute || verdict?.markRead) &&
+                !account.ruleActionsSent.has(key)) {
+                account.ruleActionsSent.add(key);
+                pending.push({notif, mute: verdict.mute});
+            }
+        }
+
+        for (const {notif, mute} of pending) {
+            /* Guard: extension may have been disabled or the account
+             * removed during await */
+            if (!this._httpSession || !this._accounts.includes(account))
+                return;
+
+            if (mute)
+                await this._muteThread(account, notif, true);
+            else
+                await this._markThreadRead(account, notif);
+        }
+    }
+
+    /**
+     * Re-apply the filters and rules to every account's last fetched list
+     * after their settings changed.
+     *
+     * Threads that become visible this way are not treated as new, so no
+     * alerts are raised for them.  Rule actions that call the API are not
+     * sent from here.
+     */
+    _refilterNotifications() {
+        for (const account of this._accounts)
+            account.notifications =
+                this._applyFilters(account, account.fetched);
+
+        if (this._notifSection)
+            this._rebuildNotificationList();
+    }
+
+    /**
+     * Compare two notification lists by thread `id` and `updated_at`.
+     *
+     * - added   — threads present now but not before
+     * - updated — threads present in both whose `updated_at` changed
+     *             (e.g. a new comment on a thread that was already unread)
+     * - gone    — threads present before but not now (read or done)
+     *
+     * @param {Object[]} previous — the list before the poll.
+     * @param {Object[]} current — the list after the poll.
+     * @returns {{added: Object[], updated: Object[], gone: Object[]}}
+     */
+    _diffNotifications(previous, current) {
+        const previousById = new Map(previous.map(n => [n.id, n]));
+        const currentIds = new Set(current.map(n => n.id));
+
+        const added = [];
+        const updated = [];
+
+        for (const notif of current) {
+            const old = previousById.get(notif.id);
+            if (!old)
+                added.push(notif);
+            else if (old.updated_at !== notif.updated_at)
+                updated.push(notif);
+        }
+
+        const gone = previous.filter(n => !currentIds.has(n.id));
+
+        return {added, updated, gone};
+    }
+
+    /**
+     * React to the changes found by {@link _diffNotifications}.
+     *
+     * This is the single place that acts on list changes: new and updated
+     * threads pulse the panel badge and, when alerts are enabled, raise
+     * desktop notifications.  Threads hit by an "always-alert" rule and
+     * snoozed threads woken by new activity get their own notification
+     * even when alerts are off or a burst is summarised; "suppress-alert"
+     * threads never raise one.  During quiet hours all alerts are held
+     * back for the catch-up summary.
+     *
+     * @param {Object} account — account the diff belongs to.
+     * @param {{added: Object[], updated: Object[], gone: Object[]}} diff
+     * @param {Set<string>} [woken] — ids of threads whose snooze ended.
+     */
+    _handleNotificationDiff(account, diff, woken = new Set()) {
+        const fresh = [...diff.added, ...diff.updated];
+        if (fresh.length === 0)
+            return;
+
+        this._animateBadge();
+
+        const alertOf = notif => woken.has(notif.id)
+            ? 'always' : account.verdicts.get(notif.id)?.alert;
+
+        const always = fresh.filter(n => alertOf(n) === 'always');
+        const normal = this._showAlert ? fresh.filter(n => !alertOf(n)) : [];
+
+        /* Quiet hours / Do Not Disturb: only the count updates for now */
+        if (this._isQuiet()) {
+            this._deferAlerts(account, [...always, ...normal]);
+            return;
+        }
+
+        for (const notif of always)
+            this._sendThreadNotification(account, notif);
+
+        this._alertNewNotifications(account, normal);
+    }
+
+    /**
+     * Briefly enlarge the panel count label to draw attention to new
+     * activity.
+     */
+    _animateBadge() {
+        if (!this._label || !this._label.visible)
+            return;
+
+        this._label.remove_all_transitions();
+        this._label.set_pivot_point(0.5, 0.5);
+        this._label.ease({
+            scale_x: 1.4,
+            scale_y: 1.4,
+            duration: 150,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            onComplete: () => {
+                this._label?.ease({
+                    scale_x: 1.0,
+                    scale_y: 1.0,
+                    duration: 250,
+                    mode: Clutter.AnimationMode.EASE_IN_QUAD,
+                });
+            },
+        });
+    }
+
+    /**
+     * Announce newly arrived threads on the desktop.
+     *
+     * Each thread gets its own notification with actions, unless more than
+     * `alert-summary-threshold` arrive at once — then a single summary
+     * notification is shown instead so a burst does not flood the screen.
+     *
+     * @param {Object} account — account the threads belong to.
+     * @param {Object[]} arrived — new or updated threads from the last poll.
+     */
+    _alertNewNotifications(account, arrived) {
+        if (arrived.length === 0)
+            return;
+
+        if (arrived.length > this._alertSummaryThreshold) {
+            this._sendDesktopNotification(
+                account, account.notifications.length);
+            return;
+        }
+
+        for (const notif of arrived)
+            this._sendThreadNotification(account, notif);
+    }
+
+    /**
+     * Return the MessageTray source shared by all alerts, creating and
+     * registering it on first use.
+     *
+     * GNOME Shell destroys a source once its last notification is gone, so
+     * the cached reference is dropped on `destroy` and recreated lazily.
+     *
+     * @returns {MessageTray.Source}
+     */
+    _getNotificationSource() {
+        if (!this._notificationSource) {
+            this._notificationSource = new MessageTray.Source({
+                title: 'GitHub Notifications',
+                iconName: 'mail-unread-symbolic',
+            });
+            this._notificationSource.connect('destroy', () => {
+                this._notificationSource = null;
+            });
+            Main.messageTray.add(this._notificationSource);
+        }
+
+        return this._notificationSource;
+    }
+
+    /**
+     * Show a transient desktop notification via GNOME's MessageTray.
+     *
+     * Clicking the notification opens the account's GitHub notifications
+     * page in the user's default browser.
+     *
+     * @param {Object} account — account the count belongs to.
+     * @param {number} count — current unread notification count.
+     */
+    _sendDesktopNotification(account, count) {
+        try {
+            const source = this._getNotificationSource();
+
+            const notification = new MessageTray.Notification({
+                source,
+                title: this._accounts.length > 1
+                    ? `GitHub Notifications \u2013 ${getAccountLabel(account)}`
+                    : 'GitHub Notifications',
+                body: count === 1
+                    ? 'You have 1 unread notification'
+                    : `You have ${count} unread notifications`,
+            });
+            notification.isTransient = true;
+            notification.connect('activated', () =>
+                this._openNotifications(account));
+
+            source.addNotification(notification);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Show a desktop notification for a single thread.
+     *
+     * Layout:  [type-icon]  owner/repo
+     *                       Subject title
+     *                       Reason
+     *          [Open]  [Mark as read]  [Mute thread]
+     *
+     * Clicking the notification body behaves like "Open".
+     *
+     * @param {Object} account — account the thread belongs to.
+     * @param {Object} notif — GitHub notification object from the API.
+     */
+    _sendThreadNotification(account, notif) {
+        try {
+            const source = this._getNotificationSource();
+
+            const repoName = notif.repository?.full_name ?? '';
+            const title = notif.subject?.title ?? 'Untitled';
+            const type = notif.subject?.type ?? '';
+            const reason = REASON_LABELS[notif.reason] ?? notif.reason;
+
+            const notification = new MessageTray.Notification({
+                source,
+                title: repoName || 'GitHub Notifications',
+                body: reason ? `${title}\n${reason}` : title,
+                gicon: new Gio.ThemedIcon({
+                    name: TYPE_ICONS[type] ?? DEFAULT_ICON,
+                }),
+            });
+            notification.isTransient = true;
+
+            notification.addAction('Open', () =>
+                this._openSingleNotification(account, notif));
+            const dismissLabel = this._dismissAction === 'done'
+                ? 'Mark as done' : 'Mark as read';
+            notification.addAction(dismissLabel, () =>
+                this._dismissThread(account, notif));
+            notification.addAction('Mute thread', () =>
+                this._muteThread(account, notif));
+
+            notification.connect('activated', () =>
+                this._openSingleNotification(account, notif));
+
+            source.addNotification(notification);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Announce that a pull request's CI changed from pending to failed.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification of the pull request.
+     */
+    _sendCiFailureNotification(account, notif) {
+        try {
+            const source = this._getNotificationSource();
+            const repoName = notif.repository?.full_name ?? '';
+
+            const notification = new MessageTray.Notification({
+                source,
+                title: `Checks failed \u2013 ${repoName}`,
+                body: notif.subject?.title ?? 'Untitled',
+                gicon: new Gio.ThemedIcon({name: CI_ICONS.failure}),
+            });
+            notification.isTransient = true;
+
+            notification.addAction('Open', () =>
+                this._openSingleNotification(account, notif));
+
+            notification.connect('activated', () =>
+                this._openSingleNotification(account, notif));
+
+            source.addNotification(notification);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Offer to undo a "Mark All Read" that has hidden threads but not yet
+     * been sent to GitHub.
+     *
+     * Shown regardless of the alert settings and quiet hours, since it
+     * answers the user's own action.
+     *
+     * @param {number} count — number of threads hidden.
+     */
+    _sendMarkAllReadUndoNotification(count) {
+        try {
+            this._markAllReadNotification?.destroy();
+
+            const source = this._getNotificationSource();
+
+            const notification = new MessageTray.Notification({
+                source,
+                title: 'Marked all as read',
+                body: count === 1
+                    ? '1 notification will be marked as read'
+                    : `${count} notifications will be marked as read`,
+                gicon: new Gio.ThemedIcon({name: 'object-select-symbolic'}),
+            });
+            notification.isTransient = true;
+
+            notification.addAction('Undo', () => this._undoMarkAllRead());
+
+            notification.connect('destroy', () => {
+                if (this._markAllReadNotification === notification)
+                    this._markAllReadNotification = null;
+            });
+            this._markAllReadNotification = notification;
+
+            source.addNotification(notification);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        }
+    }
+
+    // ── Quiet Hours ───────────────────────────────────────────────────────────
+
+    /**
+     * Check whether alerts are held back right now: during the configured
+     * quiet hours, or while GNOME's Do Not Disturb is on (when
+     * `respect-dnd` is set).
+     *
+     * @returns {boolean}
+     */
+    _isQuiet() {
+        if (this._respectDnd &&
+            !this._desktopNotifSettings?.get_boolean('show-banners'))
+            return true;
+
+        return this._quietHoursEnabled && this._inQuietHours(new Date());
+    }
+
+    /**
+     * Check a time against the per-weekday `quiet-hours` schedule.
+     *
+     * Each day has an enabled flag and a start and end time in minutes
+     * after midnight.  An end at or before the start means the window
+     * runs past midnight into the next day; equal times disable the day.
+     *
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    _inQuietHours(date) {
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const today = (date.getDay() + 6) % 7;    // 0 = Monday
+        const yesterday = (today + 6) % 7;
+
+        const [todayOn, start, end] = this._quietHours[today] ?? [];
+        if (todayOn && start !== end) {
+            if (start < end ? minute >= start && minute < end
+                : minute >= start)
+                return true;
+        }
+
+        /* Tail of an overnight window that started yesterday */
+        const [yesterdayOn, prevStart, prevEnd] =
+            this._quietHours[yesterday] ?? [];
+        return !!yesterdayOn && prevStart > prevEnd && minute < prevEnd;
+    }
+
+    /**
+     * Keep threads whose alerts were held back for the catch-up summary
+     * and start watching for the end of the quiet period.
+     *
+     * @param {Object} account — account the threads belong to.
+     * @param {Object[]} notifs — threads that would have raised an alert.
+     * @param {boolean} [ciFailure=false] — the alert was for failed checks
+     *     on the thread's pull request rather than for the thread itself.
+     */
+    _deferAlerts(account, notifs, ciFailure = false) {
+        const missed = ciFailure ? this._missedCiAlerts : this._missedAlerts;
+        for (const notif of notifs)
+            missed.set(`${account.id}/${notif.id}`, account);
+
+        if (missed.size > 0 && !this._quietTimeoutId) {
+            this._quietTimeoutId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT,
+                QUIET_CHECK_INTERVAL,
+                () => {
+                    if (this._isQuiet())
+                        return GLib.SOURCE_CONTINUE;
+
+                    this._quietTimeoutId = null;
+                    this._sendCatchUpSummary();
+                    return GLib.SOURCE_REMOVE;
+                },
+            );
+        }
+    }
+
+    /**
+     * End the quiet period early when Do Not Disturb is switched off.
+     */
+    _onDndChanged() {
+        if (!this._quietTimeoutId || this._isQuiet())
+            return;
+
+        GLib.Source.remove(this._quietTimeoutId);
+        this._quietTimeoutId = null;
+        this._sendCatchUpSummary();
+    }
+
+    /**
+     * Show one notification listing what arrived during the quiet period.
+     *
+     * New threads and pull requests whose checks failed are counted
+     * separately.  Threads that have been read in the meantime, and pull
+     * requests whose checks no longer fail, are left out; nothing is
+     * shown when none are left.
+     */
+    _sendCatchUpSummary() {
+        const collect = (alerts, stillValid) => {
+            const found = [];
+            for (const [key, account] of alerts) {
+                const id = key.slice(account.id.length + 1);
+                const notif = account.notifications.find(n => n.id === id);
+                if (notif && this._accounts.includes(account) &&
+                    stillValid(account, notif))
+                    found.push({account, notif});
+            }
+            alerts.clear();
+            return found;
+        };
+
+        const arrived = collect(this._missedAlerts, () => true);
+        const failed = collect(this._missedCiAlerts, (account, notif) =>
+            this._getCiStatus(account, notif) === 'failure');
+
+        const missed = [...arrived, ...failed];
+        if (missed.length === 0)
+            return;
+
+        const describe = ({notif}) =>
+            `${notif.repository?.full_name ?? ''}: ` +
+            `${notif.subject?.title ?? 'Untitled'}`;
+        const lines = [
+            ...arrived.map(describe),
+            ...failed.map(entry => `Checks failed \u2013 ${describe(entry)}`),
+        ];
+        if (lines.length > CATCH_UP_MAX_LINES) {
+            const more = lines.length - CATCH_UP_MAX_LINES;
+            lines.splice(CATCH_UP_MAX_LINES);
+            lines.push(`\u2026 and ${more} more`);
+        }
+
+        const threads = arrived.length === 1
+            ? '1 notification' : `${arrived.length} notifications`;
+        const pulls = failed.length === 1
+            ? '1 pull request' : `${failed.length} pull requests`;
+
+        let title;
+        if (failed.length === 0)
+            title = `${threads} arrived during quiet hours`;
+        else if (arrived.length === 0)
+            title = `Checks failed on ${pulls} during quiet hours`;
+        else
+            title = `${threads} and failed checks on ${pulls} ` +
+                'during quiet hours';
+
+        try {
+            const source = this._getNotificationSource();
+
+            const notification = new MessageTray.Notification({
+                source,
+                title,
+                body: lines.join('\n'),
+            });
+            notification.connect('activated', () =>
+                this._openNotifications(missed[0].account));
+
+            source.addNotification(notification);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        }
+    }
+
+    // ── Subject State ─────────────────────────────────────────────────────────
+
+    /**
+     * Queue the visible pull requests and issues whose state is not known
+     * for their current `updated_at`, and the opted-in pull requests whose
+     * CI is still pending.
+     *
+     * Only the rows the menu can show ({@link MAX_MENU_ITEMS} per account)
+     * are looked up.  A thread whose `updated_at` has not changed keeps its
+     * cached state, so an unchanged inbox without pending CI costs no
+     * requests at all.
+     *
+     * @param {Object} account — account whose list was just updated.
+     */
+    _queueSubjectStates(account) {
+        /* Forget threads that left the inbox */
+        const ids = new Set(account.fetched.map(n => n.id));
+        for (const id of account.subjectStates.keys()) {
+            if (!ids.has(id))
+                account.subjectStates.delete(id);
+        }
+
+        for (const notif of account.notifications.slice(0, MAX_MENU_ITEMS)) {
+            if (!STATEFUL_TYPES.has(notif.subject?.type) || !notif.subject.url)
+                continue;
+
+            const cached = account.subjectStates.get(notif.id);
+            if (cached?.updatedAt === notif.updated_at &&
+                !(cached.ci === 'pending' && this._wantsCiStatus(notif)))
+                continue;
+
+            /* Replace a queued older copy so the newest updated_at is used */
+            const queued = this._stateQueue.find(entry =>
+                entry.account === account && entry.notif.id === notif.id);
+            if (queued)
+                queued.notif = notif;
+            else
+                this._stateQueue.push({account, notif});
+        }
+
+        if (this._stateQueue.length > 0 && !this._stateQueueRunning) {
+            this._stateQueueRunning = true;
+            this._processStateQueue();
+        }
+    }
+
+    /**
+     * Look up the next batch of queued subject states.
+     *
+     * At most {@link STATE_BATCH_SIZE} requests run at once, and the next
+     * batch waits {@link STATE_BATCH_DELAY} seconds, so a full inbox is
+     * enriched gradually instead of spending the rate limit in one burst.
+     */
+    async _processStateQueue() {
+        /* Accounts short on quota are skipped; the next poll re-queues */
+        const batch = this._stateQueue.splice(0, STATE_BATCH_SIZE)
+            .filter(({account}) => this._accounts.includes(account) &&
+                this._hasSpareQuota(account));
+
+        await Promise.all(batch.map(({account, notif}) =>
+            this._fetchSubjectState(account, notif)));
+
+        /* Guard: extension may have been disabled during await */
+        if (!this._httpSession)
+            return;
+
+        if (batch.length > 0 && this._indicator.menu.isOpen)
+            this._rebuildNotificationList();
+
+        if (this._stateQueue.length === 0) {
+            this._stateQueueRunning = false;
+            return;
+        }
+
+        this._stateTimeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            STATE_BATCH_DELAY,
+            () => {
+                this._stateTimeoutId = null;
+                this._processStateQueue();
+                return GLib.SOURCE_REMOVE;
+            },
+        );
+    }
+
+    /**
+     * Look up the CI status of pull requests whose repository was just
+     * added to `ci-status-repos`.
+     *
+     * Their cached subject state has no CI result yet and would only be
+     * fetched again on new activity, so it is dropped and queued anew.
+     */
+    _refreshCiStatus() {
+        for (const account of this._accounts) {
+            for (const notif of account.notifications) {
+                const entry = account.subjectStates.get(notif.id);
+                if (entry?.sha && entry.ci === null &&
+                    (entry.state === 'open' || entry.state === 'draft') &&
+                    this._wantsCiStatus(notif))
+                    account.subjectStates.delete(notif.id);
+            }
+
+            this._queueSubjectStates(account);
+        }
+    }
+
+    /**
+     * Fetch the state of a notification's pull request or issue from
+     * `subject.url` and cache it keyed by the thread's `updated_at`.
+     *
+     * When `auto-dismiss-closed` is on, a merged or closed subject is
+     * dismissed right away, following the `dismiss-action` setting.  For
+     * open pull requests in repositories listed in `ci-status-repos`, the
+     * CI status of the head commit is looked up as well; while it is
+     * pending it is re-checked on every poll.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     */
+    async _fetchSubjectState(account, notif) {
+        if (!account.token || !this._httpSession)
+            return;
+
+        let entry = account.subjectStates.get(notif.id);
+
+        if (entry?.updatedAt !== notif.updated_at) {
+            const subject = await this._getJson(account, notif.subject.url);
+            if (!subject)
+                return;
+
+            let state = 'open';
+            if (subject.merged || subject.merged_at)
+                state = 'merged';
+            else if (subject.state === 'closed')
+                state = 'closed';
+            else if (subject.draft)
+                state = 'draft';
+
+            const sha = subject.head?.sha ?? null;
+            entry = {
+                updatedAt: notif.updated_at,
+                state,
+                sha,
+                /* A new push resets CI; keep the result for the same head */
+                ci: entry?.sha === sha ? entry.ci : null,
+            };
+            account.subjectStates.set(notif.id, entry);
+
+            /* Not _dismissThread: the user never read these, so they stay
+             * out of the "Recently Read" history */
+            if (this._autoDismissClosed &&
+                (state === 'merged' || state === 'closed')) {
+                if (this._dismissAction === 'done')
+                    this._markThreadDone(account, notif);
+                else
+                    this._markThreadRead(account, notif);
+                return;
+            }
+        }
+
+        if (entry.sha && (entry.state === 'open' || entry.state === 'draft') &&
+            this._wantsCiStatus(notif))
+            await this._updateCiStatus(account, notif, entry);
+    }
+
+    /**
+     * Check whether CI status should be looked up for a notification:
+     * it must be a pull request in a repository listed in
+     * `ci-status-repos`.
+     *
+     * @param {Object} notif — GitHub notification object.
+     * @returns {boolean}
+     */
+    _wantsCiStatus(notif) {
+        return notif.subject?.type === 'PullRequest' &&
+            this._ciRepoMatcher(notif.repository?.full_name ?? '');
+    }
+
+    /**
+     * Look up the CI status of a pull request's head commit and remember
+     * it in the subject-state cache entry.
+     *
+     * Both the combined commit status and the check runs are queried; a
+     * failure in either wins over pending, which wins over success.  When
+     * the result changes from pending to failure, a desktop notification
+     * is raised (if `alert-ci-failure` is on).
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @param {Object} entry — the thread's subject-state cache entry.
+     */
+    async _updateCiStatus(account, notif, entry) {
+        const repoUrl = notif.repository?.url;
+        if (!repoUrl)
+            return;
+
+        const [combined, checks] = await Promise.all([
+            this._getJson(account, `${repoUrl}/commits/${entry.sha}/status`),
+            this._getJson(account,
+                `${repoUrl}/commits/${entry.sha}/check-runs?per_page=100`),
+        ]);
+
+        if (!combined && !checks)
+            return;
+
+        const results = [];
+
+        /* Combined state is "success", "pending", "failure" or "error" */
+        if (combined?.total_count > 0) {
+            results.push(
+                combined.state === 'error' ? 'failure' : combined.state);
+        }
+
+        for (const run of checks?.check_runs ?? []) {
+            if (run.status !== 'completed')
+                results.push('pending');
+            else if (CI_FAILED_CONCLUSIONS.has(run.conclusion))
+                results.push('failure');
+            else
+                results.push('success');
+        }
+
+        let ci = null;
+        if (results.includes('failure'))
+            ci = 'failure';
+        else if (results.includes('pending'))
+            ci = 'pending';
+        else if (results.length > 0)
+            ci = 'success';
+
+        const previous = entry.ci;
+        entry.ci = ci;
+
+        /* Keep a pending run across restarts so its failure is alerted */
+        if (ci !== previous)
+            this._saveCache();
+
+        if (previous !== 'pending' || ci !== 'failure' || !this._alertCiFailure)
+            return;
+
+        if (this._isQuiet())
+            this._deferAlerts(account, [notif], true);
+        else
+            this._sendCiFailureNotification(account, notif);
+    }
+
+    /**
+     * Return the cached CI result of a pull request notification.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @returns {string|null} "success", "failure", "pending" or null.
+     */
+    _getCiStatus(account, notif) {
+        if (!this._wantsCiStatus(notif))
+            return null;
+
+        const state = this._getSubjectState(account, notif);
+        if (state !== 'open' && state !== 'draft')
+            return null;
+
+        return account.subjectStates.get(notif.id).ci ?? null;
+    }
+
+    /**
+     * Return the cached state of a notification's subject, if it is still
+     * valid for the thread's current `updated_at`.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @returns {string|null} "open", "draft", "merged", "closed" or null.
+     */
+    _getSubjectState(account, notif) {
+        const cached = account.subjectStates.get(notif.id);
+        return cached?.updatedAt === notif.updated_at ? cached.state : null;
+    }
+
+    // ── Notification Cache ────────────────────────────────────────────────────
+
+    /**
+     * Load the notification lists saved by {@link _saveCache}.
+     *
+     * Each account's list and `Last-Modified` validator are restored so the
+     * menu and the count are filled straight away; the list is marked
+     * stale (`cachedAt`) until the first poll confirms or replaces it.
+     * The pull request and issue states are restored too, so a CI run that
+     * was pending before a restart still alerts when it fails.
+     * Because the restored list is the baseline of the first poll's diff,
+     * threads already in it do not raise alerts again.
+     *
+     * A cached list is ignored when the account's host or
+     * participating-only flag has changed since it was saved.
+     */
+    async _loadCache() {
+        try {
+            const cache = await readJson(getCacheFile(CACHE_FILE), {});
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._settings)
+                return;
+
+            for (const account of this._accounts) {
+                const entry = cache[account.id];
+                if (!entry || entry.host !== account.host ||
+                    entry.participatingOnly !== account.participatingOnly ||
+                    !Array.isArray(entry.fetched))
+                    continue;
+
+                account.fetched = entry.fetched;
+                account.lastModified = entry.lastModified ?? null;
+                account.truncated = entry.truncated ?? false;
+                account.cachedAt = entry.fetchedAt ?? Date.now();
+                account.subjectStates = new Map(entry.subjectStates ?? []);
+            }
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Cannot read the notification cache: ${e.message}`);
+        }
+    }
+
+    /**
+     * Write every account's fetched list, validator and subject states to
+     * the cache file.
+     */
+    _saveCache() {
+        const cache = {};
+        for (const account of this._accounts) {
+            cache[account.id] = {
+                host: account.host,
+                participatingOnly: account.participatingOnly,
+                fetched: account.fetched,
+                lastModified: account.lastModified,
+                truncated: account.truncated,
+                fetchedAt: account.cachedAt ?? account.lastSync,
+                subjectStates: [...account.subjectStates],
+            };
+        }
+
+        writeJson(getCacheFile(CACHE_FILE), cache)
+            .catch(e => console.error(
+                `[GitHub Notifications] Cannot save the notification cache: ${e.message}`));
+    }
+
+    // ── Snooze ────────────────────────────────────────────────────────────────
+
+    /**
+     * Load the snoozed threads from disk.
+     *
+     * Entries are keyed by "accountId/threadId" and hold the thread's
+     * `updated_at` at snooze time plus enough of the notification (repo,
+     * title, type) to list it in the "Snoozed" submenu.
+     */
+    async _loadSnoozed() {
+        try {
+            const entries = await readJson(getDataFile(SNOOZE_FILE), []);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._settings)
+                return;
+
+            for (const entry of entries)
+                this._snoozed.set(`${entry.account}/${entry.id}`, entry);
+            this._pruneSnoozed();
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Cannot read snoozed threads: ${e.message}`);
+        }
+
+        this._scheduleSnoozeWake();
+    }
+
+    /**
+     * Forget the snoozed threads of accounts that no longer exist.
+     */
+    _pruneSnoozed() {
+        const ids = new Set(this._accounts.map(a => a.id));
+        let pruned = false;
+
+        for (const [key, entry] of this._snoozed) {
+            if (!ids.has(entry.account)) {
+                this._snoozed.delete(key);
+                pruned = true;
+            }
+        }
+
+        if (pruned)
+            this._saveSnoozed();
+    }
+
+    /**
+     * Write the snoozed threads to disk.
+     */
+    _saveSnoozed() {
+        writeJson(getDataFile(SNOOZE_FILE), [...this._snoozed.values()])
+            .catch(e => console.error(
+                `[GitHub Notifications] Cannot save snoozed threads: ${e.message}`));
+    }
+
+    /**
+     * Hide a thread until the given time.
+     *
+     * The thread comes back, with an alert, when the time has passed or
+     * when its `updated_at` changes before that.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @param {number} until — wake-up time in Unix seconds.
+     */
+    _snoozeThread(account, notif, until) {
+        this._snoozed.set(`${account.id}/${notif.id}`, {
+            account: account.id,
+            id: notif.id,
+            until,
+            updatedAt: notif.updated_at,
+            repo: notif.repository?.full_name ?? '',
+            title: notif.subject?.title ?? '',
+            type: notif.subject?.type ?? '',
+        });
+        this._saveSnoozed();
+        this._scheduleSnoozeWake();
+
+        account.notifications =
+            account.notifications.filter(n => n.id !== notif.id);
+        this._updateCountLabel();
+        this._updateVisibility();
+    }
+
+    /**
+     * Check whether a thread is snoozed at its current `updated_at`.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @returns {boolean}
+     */
+    _isSnoozed(account, notif) {
+        const entry = this._snoozed.get(`${account.id}/${notif.id}`);
+        return entry?.updatedAt === notif.updated_at;
+    }
+
+    /**
+     * End the snooze of threads that changed since they were snoozed.
+     *
+     * Called with every fetched list, before the filters run.
+     *
+     * @param {Object} account — account the data was fetched for.
+     * @param {Object[]} data — unfiltered notification objects.
+     * @returns {Set<string>} Ids of the threads woken up.
+     */
+    _wakeUpdatedSnoozes(account, data) {
+        const woken = new Set();
+
+        for (const notif of data) {
+            const key = `${account.id}/${notif.id}`;
+            const entry = this._snoozed.get(key);
+
+            if (entry && entry.updatedAt !== notif.updated_at) {
+                this._snoozed.delete(key);
+                woken.add(notif.id);
+            }
+        }
+
+        if (woken.size > 0) {
+            this._saveSnoozed();
+            this._scheduleSnoozeWake();
+        }
+
+        return woken;
+    }
+
+    /**
+     * End every snooze whose time has passed, bring the threads back into
+     * the list and alert for each one still unread.
+     *
+     * Runs from the wake-up timer and before every poll, so snoozes that
+     * expired while the machine was suspended are picked up promptly.
+     */
+    _wakeExpiredSnoozes() {
+        const now = Math.floor(Date.now() / 1000);
+        const expired = [...this._snoozed.entries()]
+            .filter(([_key, entry]) => entry.until <= now);
+
+        if (expired.length === 0)
+            return;
+
+        for (const [key] of expired)
+            this._snoozed.delete(key);
+        this._saveSnoozed();
+
+        this._refilterNotifications();
+
+        for (const [, entry] of expired) {
+            const account = this._accounts.find(a => a.id === entry.account);
+            const notif = account?.notifications.find(n => n.id === entry.id);
+            if (!notif)
+                continue;
+
+            if (this._isQuiet())
+                this._deferAlerts(account, [notif]);
+            else
+                this._sendThreadNotification(account, notif);
+        }
+
+        this._scheduleSnoozeWake();
+    }
+
+    /**
+     * Bring a snoozed thread back right away (from the "Snoozed" submenu).
+     *
+     * @param {string} key — "accountId/threadId".
+     */
+    _unsnoozeThread(key) {
+        if (!this._snoozed.delete(key))
+            return;
+
+        this._saveSnoozed();
+        this._scheduleSnoozeWake();
+        this._refilterNotifications();
+    }
+
+    /**
+     * (Re)arm the timer for the earliest snooze expiry.
+     */
+    _scheduleSnoozeWake() {
+        if (this._snoozeTimeoutId) {
+            GLib.Source.remove(this._snoozeTimeoutId);
+            this._snoozeTimeoutId = null;
+        }
+
+        if (this._snoozed.size === 0)
+            return;
+
+        const earliest = Math.min(
+            ...[...this._snoozed.values()].map(e => e.until));
+        const delay = Math.max(1, earliest - Math.floor(Date.now() / 1000));
+
+        this._snoozeTimeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            delay,
+            () => {
+                this._snoozeTimeoutId = null;
+                this._wakeExpiredSnoozes();
+                return GLib.SOURCE_REMOVE;
+            },
+        );
+    }
+
+    /**
+     * Return the snooze presets offered for the current time.
+     *
+     * "This evening" is only offered before {@link SNOOZE_EVENING_HOUR}.
+     *
+     * @returns {Array<[string, number]>} Label and wake-up time in Unix
+     *     seconds.
+     */
+    _getSnoozePresets() {
+        const now = new Date();
+        const at = (days, hour) => {
+            const date = new Date(now.getFullYear(), now.getMonth(),
+                now.getDate() + days, hour, 0, 0);
+            return Math.floor(date.getTime() / 1000);
+        };
+
+        const presets = [
+            ['1 hour', Math.floor(now.getTime() / 1000) + 3600],
+        ];
+
+        if (now.getHours() < SNOOZE_EVENING_HOUR)
+            presets.push(['This evening', at(0, SNOOZE_EVENING_HOUR)]);
+
+        presets.push(['Tomorrow morning', at(1, SNOOZE_MORNING_HOUR)]);
+
+        /* Next Monday, or a week from today when today is Monday */
+        const daysToMonday = (8 - now.getDay()) % 7 || 7;
+        presets.push(['Next week', at(daysToMonday, SNOOZE_MORNING_HOUR)]);
+
+        return presets;
+    }
+
+    /**
+     * Parse the custom snooze time typed into the snooze panel.
+     *
+     * Accepted forms:
+     *   "90m", "3h", "2d"     relative to now
+     *   "14:30"               today, or tomorrow once that time has passed
+     *   "2026-10-21 09:00"    an absolute local date and time
+     *
+     * @param {string} text
+     * @returns {number|null} Wake-up time in Unix seconds, or null when the
+     *     text is not understood or lies in the past.
+     */
+    _parseSnoozeTime(text) {
+        const input = text.trim().toLowerCase();
+        const now = new Date();
+        let date = null;
+
+        let match = input.match(/^(\d+)\s*([mhd])$/);
+        if (match) {
+            const unit = {m: 60, h: 3600, d: 86400}[match[2]];
+            date = new Date(now.getTime() + Number(match[1]) * unit * 1000);
+        }
+
+        match = input.match(/^(\d{1,2}):(\d{2})$/);
+        if (match) {
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate(),
+                Number(match[1]), Number(match[2]));
+            if (date <= now)
+                date.setDate(date.getDate() + 1);
+        }
+
+        match = input.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})$/);
+        if (match) {
+            date = new Date(Number(match[1]), Number(match[2]) - 1,
+                Number(match[3]), Number(match[4]), Number(match[5]));
+        }
+
+        if (!date || isNaN(date.getTime()) || date <= now)
+            return null;
+
+        return Math.floor(date.getTime() / 1000);
+    }
+
+    /**
+     * Fill the menu with the snooze panel for {@link _snoozeTarget}: the
+     * presets, a custom time entry and "Cancel".
+     *
+     * Shown instead of the notification list until a choice is made or
+     * the menu closes.
+     */
+    _buildSnoozePanel() {
+        const {account, notif} = this._snoozeTarget;
+
+        const header = new PopupMenu.PopupMenuItem(
+            `Snooze \u201C${notif.subject?.title ?? 'Untitled'}\u201D`, {
+                reactive: false,
+                style_class: 'github-notif-group-header',
+            });
+        header.label.clutter_text.ellipsize = 3;  // Pango.EllipsizeMode.END
+        this._notifSection.addMenuItem(header);
+
+        const snooze = until => {
+            this._snoozeTarget = null;
+            this._snoozeThread(account, notif, until);
+            this._rebuildNotificationList();
+        };
+
+        for (const [label, until] of this._getSnoozePresets()) {
+            const when = GLib.DateTime.new_from_unix_local(until)
+                .format('%a %H:%M');
+            const item = new PopupMenu.PopupMenuItem(`${label}  (${when})`);
+            item.connect('activate', () => snooze(until));
+            this._notifSection.addMenuItem(item);
+        }
+
+        /* Custom time: Enter confirms, invalid input is marked */
+        const customItem = new PopupMenu.PopupBaseMenuItem({
+            reactive: false,
+            can_focus: false,
+        });
+        const customEntry = new St.Entry({
+            hint_text: 'Custom: 90m, 3h, 14:30, 2026-10-21 09:00',
+            style_class: 'github-notif-search',
+            can_focus: true,
+            x_expand: true,
+        });
+        customEntry.clutter_text.connect('activate', () => {
+            const until = this._parseSnoozeTime(customEntry.get_text());
+            if (until)
+                snooze(until);
+            else
+                customEntry.add_style_class_name('github-notif-entry-error');
+        });
+        customEntry.clutter_text.connect('text-changed', () =>
+            customEntry.remove_style_class_name('github-notif-entry-error'));
+        customItem.add_child(customEntry);
+        this._notifSection.addMenuItem(customItem);
+
+        const cancelItem = new PopupMenu.PopupMenuItem('Cancel');
+        cancelItem.connect('activate', () => {
+            this._snoozeTarget = null;
+            this._rebuildNotificationList();
+        });
+        this._notifSection.addMenuItem(cancelItem);
+    }
+
+    /**
+     * Append the "Snoozed (N)" submenu listing every snoozed thread with
+     * its wake-up time; activating an entry brings the thread back now.
+     */
+    _addSnoozedSubmenu() {
+        if (this._snoozed.size === 0)
+            return;
 
-            /* 401 — likely a revoked or invalid token */
-            if (status === Soup.Status.UNAUTHORIZED) {
-                console.error(
-                    '[GitHub Notifications] 401 Unauthorized – check token');
-                this._label?.set_text('!');
-                this._scheduleFetch(
-                    this._getEffectiveInterval(), true);
-                return;
-            }
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(
+            `Snoozed  (${this._snoozed.size})`);
 
-            /* Any other HTTP error — log for debugging */
-            console.error(
-                `[GitHub Notifications] HTTP ${status}`);
-            this._scheduleFetch(this._getEffectiveInterval(), true);
-        } catch (e) {
-            console.error(
-                `[GitHub Notifications] Fetch error: ${e.message}`);
-            this._scheduleFetch(this._getEffectiveInterval(), true);
+        const entries = [...this._snoozed.entries()]
+            .sort(([, a], [, b]) => a.until - b.until);
+
+        for (const [key, entry] of entries) {
+            const when = GLib.DateTime.new_from_unix_local(entry.until)
+                .format('%a %H:%M');
+            const item = new PopupMenu.PopupMenuItem(
+                `${entry.repo}: ${entry.title}  \u2013 ${when}`);
+            item.label.clutter_text.ellipsize = 3;  // Pango.EllipsizeMode.END
+            item.connect('activate', () => this._unsnoozeThread(key));
+            submenu.menu.addMenuItem(item);
         }
+
+        this._notifSection.addMenuItem(submenu);
     }
 
+    // ── History ───────────────────────────────────────────────────────────────
+
     /**
-     * Mark every notification as read via the GitHub API (PUT).
+     * Start watching the history file and load it.
      *
-     * GitHub responds with 205 Reset Content on success.  On success, clears
-     * the local cache and updates the UI immediately.
+     * The preferences clear the history by rewriting the file, so changes
+     * made outside the shell are picked up through a file monitor.
      */
-    async _markAllRead() {
-        if (!this._token || !this._httpSession)
-            return;
-
-        const url = this._buildApiUrl('notifications', false);
-        const message = Soup.Message.new('PUT', url);
+    _initHistory() {
+        this._historyMonitor = getDataFile(HISTORY_FILE)
+            .monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._historyChangedId = this._historyMonitor.connect(
+            'changed', (_monitor, _file, _otherFile, eventType) => {
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.CREATED ||
+                    eventType === Gio.FileMonitorEvent.DELETED)
+                    this._loadHistory();
+            });
 
-        message.get_request_headers().append(
-            'Authorization', `Bearer ${this._token}`);
-        message.get_request_headers().append(
-            'Accept', 'application/vnd.github+json');
+        this._loadHistory();
+    }
 
-        const body = JSON.stringify({
-            last_read_at: new Date().toISOString(),
-        });
-        message.set_request_body_from_bytes(
-            'application/json',
-            new GLib.Bytes(new TextEncoder().encode(body)),
-        );
+    /**
+     * Stop watching the history file and forget the loaded entries.
+     */
+    _destroyHistory() {
+        if (this._historyChangedId) {
+            this._historyMonitor.disconnect(this._historyChangedId);
+            this._historyChangedId = null;
+        }
+        this._historyMonitor?.cancel();
+        this._historyMonitor = null;
+        this._history = [];
+    }
 
+    /**
+     * Read the recently read threads from disk.
+     */
+    async _loadHistory() {
         try {
-            await this._httpSession.send_and_read_async(
-                message, GLib.PRIORITY_DEFAULT, null);
+            const entries = await readJson(getDataFile(HISTORY_FILE), []);
 
             /* Guard: extension may have been disabled during await */
-            if (!this._httpSession)
+            if (!this._settings)
                 return;
 
-            const status = message.get_status();
-
-            /* 205, 200, or 204 all indicate success */
-            if (status === Soup.Status.RESET_CONTENT ||
-                status === Soup.Status.OK ||
-                status === Soup.Status.NO_CONTENT) {
-                this._notifications = [];
-                this._label?.set_text('0');
-                this._updateVisibility();
-                if (this._notifSection)
-                    this._rebuildNotificationList();
-            } else {
-                console.error(
-                    `[GitHub Notifications] Mark-all-read failed: HTTP ${status}`);
-            }
+            this._history = Array.isArray(entries) ? entries : [];
         } catch (e) {
             console.error(
-                `[GitHub Notifications] Mark-all-read error: ${e.message}`);
+                `[GitHub Notifications] Cannot read the history: ${e.message}`);
         }
     }
 
-    // ── Notification Handling ─────────────────────────────────────────────────
-
     /**
-     * Replace the cached notification list with fresh data from the API.
+     * Remember a thread the user dismissed or opened, newest first.
      *
-     * Sends a desktop notification if the new count is higher than the old
-     * count and the user has enabled alerts.
+     * Only what is needed to list and reopen the thread is kept.  A thread
+     * already in the history moves to the top; the list is cut to
+     * `history-size` entries, and nothing is kept when that is 0.
      *
-     * @param {Object[]} data — array of notification objects from GitHub.
+     * @param {Object} account — account the thread belongs to.
+     * @param {Object} notif — GitHub notification object.
+     * @param {string} action — "read", "done", "opened" or "muted".
      */
-    _updateNotifications(data) {
-        const previousCount = this._notifications.length;
-        this._notifications = data;
+    _recordHistory(account, notif, action) {
+        if (this._historySize === 0)
+            return;
 
-        this._label?.set_text(`${data.length}`);
-        this._updateVisibility();
+        const entry = {
+            account: account.id,
+            id: notif.id,
+            action,
+            time: Math.floor(Date.now() / 1000),
+            notif: {
+                id: notif.id,
+                reason: notif.reason,
+                subject: notif.subject,
+                repository: {
+                    full_name: notif.repository?.full_name,
+                    html_url: notif.repository?.html_url,
+                    url: notif.repository?.url,
+                },
+            },
+        };
+
+        this._history = [entry, ...this._history.filter(e =>
+            e.account !== account.id || e.id !== notif.id)]
+            .slice(0, this._historySize);
 
-        /* Alert the user when new notifications arrive */
-        if (data.length > previousCount && this._showAlert)
-            this._sendDesktopNotification(data.length);
+        writeJson(getDataFile(HISTORY_FILE), this._history)
+            .catch(e => console.error(
+                `[GitHub Notifications] Cannot save the history: ${e.message}`));
     }
 
     /**
-     * Show a transient desktop notification via GNOME's MessageTray.
-     *
-     * Clicking the notification opens the GitHub notifications page in the
-     * user's default browser.
-     *
-     * @param {number} count — current unread notification count.
+     * Add the "Recently Read" submenu listing the history, newest first.
+     * Activating an entry opens the thread again.
      */
-    _sendDesktopNotification(count) {
-        try {
-            const source = new MessageTray.Source({
-                title: 'GitHub Notifications',
-                iconName: 'mail-unread-symbolic',
-            });
-            Main.messageTray.add(source);
+    _addHistorySubmenu() {
+        const entries = this._history
+            .filter(e => this._accounts.some(a => a.id === e.account))
+            .slice(0, this._historySize);
+        if (entries.length === 0)
+            return;
 
-            const notification = new MessageTray.Notification({
-                source,
-                title: 'GitHub Notifications',
-                body: count === 1
-                    ? 'You have 1 unread notification'
-                    : `You have ${count} unread notifications`,
-            });
-            notification.isTransient = true;
-            notification.connect('activated', () =>
-                this._openNotifications());
+        const submenu = new PopupMenu.PopupSubMenuMenuItem('Recently Read');
 
-            source.addNotification(notification);
-        } catch (e) {
-            console.error(
-                `[GitHub Notifications] Desktop notification error: ${e.message}`);
+        for (const entry of entries) {
+            const account = this._accounts.find(a => a.id === entry.account);
+            const when = GLib.DateTime.new_from_unix_local(entry.time)
+                .format('%a %H:%M');
+            const repo = entry.notif.repository?.full_name ?? '';
+            const title = entry.notif.subject?.title ?? 'Untitled';
+
+            const action = HISTORY_ACTION_LABELS[entry.action] ?? '';
+
+            const item = new PopupMenu.PopupMenuItem(
+                `${repo}: ${title}  \u2013 ${action} ${when}`);
+            item.label.clutter_text.ellipsize = 3;  // Pango.EllipsizeMode.END
+            item.connect('activate', () =>
+                this._openSingleNotification(account, entry.notif));
+            submenu.menu.addMenuItem(item);
         }
+
+        this._notifSection.addMenuItem(submenu);
     }
 
     // ── Actions ───────────────────────────────────────────────────────────────
 
     /**
-     * Open the GitHub notifications page in the default browser.
+     * Fetch every account right away with its back-off reset.
+     *
+     * Used by the "Retry Now" menu action and after a reconnect or resume.
+     * Unlike "Refresh Now", cached validators are kept.
+     */
+    _retryNow() {
+        for (const account of this._accounts) {
+            account.retryAttempts = 0;
+            this._stopLoop(account);
+            this._fetchNotifications(account);
+        }
+    }
+
+    /**
+     * Open an account's GitHub notifications page in the default browser.
+     *
+     * Respects the account's "participating only" setting to open the
+     * correct sub-page.
      *
-     * Respects the "participating only" setting to open the correct
-     * sub-page.
+     * @param {Object} account — account whose inbox to open.
      */
-    _openNotifications() {
+    _openNotifications(account) {
         try {
-            let url = `https://${this._domain}/notifications`;
-            if (this._participatingOnly)
+            let url = `https://${account.host}/notifications`;
+            if (account.participatingOnly)
                 url += '/participating';
 
             Gio.AppInfo.launch_default_for_uri(url, null);
@@ -795,13 +3727,18 @@ export default class GitHubNotificationsExtension extends Extension {
      *   https://github.com/owner/repo/issues/7
      *   https://github.com/owner/repo/commit/abc123
      *
+     * Discussion, workflow-run, security-alert and invitation notifications
+     * usually have no subject URL; they open the matching repository page
+     * from {@link TYPE_PAGES} (e.g. …/owner/repo/security/dependabot).
+     *
+     * @param {Object} account — account the notification belongs to.
      * @param {Object} notif — GitHub notification object.
      * @returns {string} Browser-friendly URL.
      */
-    _resolveNotificationUrl(notif) {
+    _resolveNotificationUrl(account, notif) {
         const subjectUrl = notif.subject?.url;
         const repoFullName = notif.repository?.full_name;
-        const domain = this._domain;
+        const domain = account.host;
 
         if (subjectUrl) {
             try {
@@ -841,6 +3778,11 @@ export default class GitHubNotificationsExtension extends Extension {
             }
         }
 
+        /* No subject URL: open the repository page for the type */
+        const typePage = TYPE_PAGES[notif.subject?.type];
+        if (typePage && repoFullName)
+            return `https://${domain}/${repoFullName}/${typePage}`;
+
         /* Fallback: open the repo page */
         if (repoFullName)
             return `https://${domain}/${repoFullName}`;
@@ -859,23 +3801,19 @@ export default class GitHubNotificationsExtension extends Extension {
      * to obtain the tag_name, then constructs the correct browser URL:
      *   https://github.com/owner/repo/releases/tag/v1.2.3
      *
+     * @param {Object} account — account whose token to use.
      * @param {string} apiUrl — The release API URL (subject.url).
      * @param {string} repoFullName — e.g. "hashicorp/terraform".
      * @returns {Promise<string|null>} The browser URL, or null on failure.
      */
-    async _fetchReleaseTagUrl(apiUrl, repoFullName) {
-        if (!this._token || !this._httpSession || !apiUrl)
+    async _fetchReleaseTagUrl(account, apiUrl, repoFullName) {
+        if (!account.token || !this._httpSession || !apiUrl)
             return null;
 
-        const message = Soup.Message.new('GET', apiUrl);
-        message.get_request_headers().append(
-            'Authorization', `Bearer ${this._token}`);
-        message.get_request_headers().append(
-            'Accept', 'application/vnd.github+json');
+        const message = this._createApiMessage(account, 'GET', apiUrl);
 
         try {
-            const bytes = await this._httpSession.send_and_read_async(
-                message, GLib.PRIORITY_DEFAULT, null);
+            const bytes = await this._sendApiMessage(account, message);
 
             /* Guard: extension may have been disabled during await */
             if (!this._httpSession)
@@ -895,7 +3833,7 @@ export default class GitHubNotificationsExtension extends Extension {
                 return release.html_url;
 
             if (release.tag_name && repoFullName) {
-                const domain = this._domain;
+                const domain = account.host;
                 return `https://${domain}/${repoFullName}/releases/tag/${release.tag_name}`;
             }
         } catch (e) {
@@ -906,68 +3844,207 @@ export default class GitHubNotificationsExtension extends Extension {
         return null;
     }
 
+    /**
+     * Fetch the browser URL of the comment a notification points at.
+     *
+     * `latest_comment_url` is an API URL for an issue comment
+     * (…/issues/comments/ID), a pull request review comment
+     * (…/pulls/comments/ID) or a commit comment (…/comments/ID).  Its
+     * `html_url` carries the anchor of the comment, e.g.
+     *   https://github.com/owner/repo/pull/42#issuecomment-123
+     *
+     * When the thread has no comment yet, `latest_comment_url` is null or
+     * the subject URL itself, and null is returned so the caller falls
+     * back to {@link _resolveNotificationUrl}.  The same happens while the
+     * account is short on API quota.
+     *
+     * @param {Object} account — account whose token to use.
+     * @param {Object} notif — GitHub notification object.
+     * @returns {Promise<string|null>} The browser URL, or null on failure.
+     */
+    async _fetchLatestCommentUrl(account, notif) {
+        const commentUrl = notif.subject?.latest_comment_url;
+        if (!commentUrl || commentUrl === notif.subject.url ||
+            !/\/comments\/\d+$/.test(commentUrl))
+            return null;
+
+        /* Optional refinement — skipped when the quota is running low */
+        if (!this._hasSpareQuota(account))
+            return null;
+
+        const comment = await this._getJson(account, commentUrl);
+        return comment?.html_url ?? null;
+    }
+
+    /**
+     * Find the browser URL of a discussion notification.
+     *
+     * Discussion notifications carry no `subject.url`, so the repository's
+     * discussions are searched by title through the GraphQL API.  An exact
+     * title match is preferred over the search's best hit.
+     *
+     * @param {Object} account — account whose token to use.
+     * @param {Object} notif — GitHub notification of the discussion.
+     * @returns {Promise<string|null>} The browser URL, or null on failure.
+     */
+    async _fetchDiscussionUrl(account, notif) {
+        const repoFullName = notif.repository?.full_name;
+        const title = notif.subject?.title;
+        if (!repoFullName || !title)
+            return null;
+
+        /* Quotes would end the phrase early; the title is only a hint */
+        const phrase = title.replace(/"/g, ' ');
+        const data = await this._postGraphQL(account, `
+            query($q: String!) {
+                search(query: $q, type: DISCUSSION, first: 10) {
+                    nodes { ... on Discussion { title url } }
+                }
+            }`, {q: `repo:${repoFullName} in:title "${phrase}"`});
+
+        const nodes = data?.search?.nodes?.filter(n => n?.url) ?? [];
+        const match = nodes.find(n => n.title === title) ?? nodes[0];
+
+        return match?.url ?? null;
+    }
+
+    /**
+     * Run a GraphQL query against the account's host.
+     *
+     * @param {Object} account — account whose token and host to use.
+     * @param {string} query — GraphQL query document.
+     * @param {Object} variables — query variables.
+     * @returns {Promise<Object|null>} The `data` member of the reply, or
+     *     null on any HTTP, parse or GraphQL error.
+     */
+    async _postGraphQL(account, query, variables) {
+        if (!account.token || !this._httpSession)
+            return null;
+
+        const message = this._createApiMessage(
+            account, 'POST', getGraphQLUrl(account.host));
+
+        const body = JSON.stringify({query, variables});
+        message.set_request_body_from_bytes(
+            'application/json',
+            new GLib.Bytes(new TextEncoder().encode(body)),
+        );
+
+        try {
+            const bytes = await this._sendApiMessage(account, message);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._httpSession)
+                return null;
+
+            if (message.get_status() !== Soup.Status.OK || !bytes)
+                return null;
+
+            const data = bytes.get_data();
+            if (!data)
+                return null;
+
+            const reply = JSON.parse(new TextDecoder('utf-8').decode(data));
+            if (reply.errors?.length) {
+                console.error(
+                    `[GitHub Notifications] GraphQL error: ${reply.errors[0].message}`);
+            }
+
+            return reply.data ?? null;
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] GraphQL request failed: ${e.message}`);
+            return null;
+        }
+    }
+
     /**
      * Open a single notification's subject URL in the default browser.
      *
      * For release notifications, makes an additional API call to resolve
      * the correct tag-based URL before opening.
      *
+     * @param {Object} account — account the notification belongs to.
      * @param {Object} notif — GitHub notification object.
      */
-    async _openSingleNotification(notif) {
+    async _openSingleNotification(account, notif) {
         try {
-            let url;
+            /* Jump straight to the comment that triggered the notification */
+            let url = await this._fetchLatestCommentUrl(account, notif);
 
             /* Release URLs need special handling: the API returns a
              * numeric ID that doesn't work in the browser. */
-            if (notif.subject?.type === 'Release' && notif.subject?.url) {
+            if (!url && notif.subject?.type === 'Release' &&
+                notif.subject?.url) {
                 url = await this._fetchReleaseTagUrl(
+                    account,
                     notif.subject.url,
                     notif.repository?.full_name);
             }
 
+            /* Discussions without a subject URL are looked up by title */
+            if (!url && notif.subject?.type === 'Discussion' &&
+                !notif.subject.url)
+                url = await this._fetchDiscussionUrl(account, notif);
+
             /* Fall back to the standard URL resolution */
             if (!url)
-                url = this._resolveNotificationUrl(notif);
+                url = this._resolveNotificationUrl(account, notif);
 
             Gio.AppInfo.launch_default_for_uri(url, null);
+            this._recordHistory(account, notif, 'opened');
         } catch (e) {
             console.error(
                 `[GitHub Notifications] Cannot open URI: ${e.message}`);
         }
     }
 
+    /**
+     * Dismiss a notification thread the way the `dismiss-action` setting
+     * asks for: mark it read, or mark it done.  Dismissed threads are kept
+     * in the "Recently Read" history.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object (must have `.id`).
+     */
+    async _dismissThread(account, notif) {
+        const action = this._dismissAction === 'done' ? 'done' : 'read';
+        const dismissed = action === 'done'
+            ? await this._markThreadDone(account, notif)
+            : await this._markThreadRead(account, notif);
+
+        if (dismissed)
+            this._recordHistory(account, notif, action);
+    }
+
     /**
      * Mark a single notification thread as read via the GitHub API (PATCH).
      *
      * On success, removes the notification from the local cache and refreshes
      * the popup menu so the dismissed item disappears immediately.
      *
+     * @param {Object} account — account the notification belongs to.
      * @param {Object} notif — GitHub notification object (must have `.id`).
+     * @returns {Promise<boolean>} Whether GitHub accepted the request.
      */
-    async _markThreadRead(notif) {
-        if (!this._token || !this._httpSession)
-            return;
+    async _markThreadRead(account, notif) {
+        if (!account.token || !this._httpSession)
+            return false;
 
         const threadId = notif.id;
         if (!threadId)
-            return;
-
-        const url = this._buildApiUrl(`notifications/threads/${threadId}`);
-        const message = Soup.Message.new('PATCH', url);
+            return false;
 
-        message.get_request_headers().append(
-            'Authorization', `Bearer ${this._token}`);
-        message.get_request_headers().append(
-            'Accept', 'application/vnd.github+json');
+        const url = this._buildApiUrl(
+            account, `notifications/threads/${threadId}`);
+        const message = this._createApiMessage(account, 'PATCH', url);
 
         try {
-            await this._httpSession.send_and_read_async(
-                message, GLib.PRIORITY_DEFAULT, null);
+            await this._sendApiMessage(account, message);
 
             /* Guard: extension may have been disabled during await */
             if (!this._httpSession)
-                return;
+                return false;
 
             const status = message.get_status();
 
@@ -975,19 +4052,192 @@ export default class GitHubNotificationsExtension extends Extension {
             if (status === Soup.Status.RESET_CONTENT ||
                 status === Soup.Status.OK ||
                 status === Soup.Status.NO_CONTENT) {
-                this._notifications =
-                    this._notifications.filter(n => n.id !== threadId);
-                this._label?.set_text(`${this._notifications.length}`);
-                this._updateVisibility();
-                if (this._notifSection)
-                    this._rebuildNotificationList();
+                this._removeThread(account, threadId);
+                return true;
+            }
+
+            console.error(
+                `[GitHub Notifications] Mark-thread-read failed: HTTP ${status}`);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Mark-thread-read error: ${e.message}`);
+        }
+
+        return false;
+    }
+
+    /**
+     * Mark a single notification thread as done via the GitHub API (DELETE).
+     *
+     * Unlike marking it read, this also removes the thread from the
+     * github.com inbox.  Local state is updated the same way as in
+     * {@link _markThreadRead}.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object (must have `.id`).
+     * @returns {Promise<boolean>} Whether GitHub accepted the request.
+     */
+    async _markThreadDone(account, notif) {
+        if (!account.token || !this._httpSession)
+            return false;
+
+        const threadId = notif.id;
+        if (!threadId)
+            return false;
+
+        const url = this._buildApiUrl(
+            account, `notifications/threads/${threadId}`);
+        const message = this._createApiMessage(account, 'DELETE', url);
+
+        try {
+            await this._sendApiMessage(account, message);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._httpSession)
+                return false;
+
+            const status = message.get_status();
+
+            /* 204 No Content is the documented success code */
+            if (status === Soup.Status.NO_CONTENT ||
+                status === Soup.Status.OK ||
+                status === Soup.Status.RESET_CONTENT) {
+                this._removeThread(account, threadId);
+                return true;
+            }
+
+            console.error(
+                `[GitHub Notifications] Mark-thread-done failed: HTTP ${status}`);
+        } catch (e) {
+            console.error(
+                `[GitHub Notifications] Mark-thread-done error: ${e.message}`);
+        }
+
+        return false;
+    }
+
+    /**
+     * Mark every thread currently rendered in the popup menu as done.
+     *
+     * Only the rows the user could see are affected — threads hidden behind
+     * the overflow label stay in the inbox.  Requests are sent one after
+     * another to stay clear of GitHub's secondary rate limits.
+     */
+    async _markShownDone() {
+        const shown = [...this._shownThreads];
+
+        for (const {account, notif} of shown) {
+            if (!this._accounts.includes(account))
+                continue;
+
+            if (await this._markThreadDone(account, notif))
+                this._recordHistory(account, notif, 'done');
+        }
+    }
+
+    /**
+     * Drop a thread from an account's local cache and refresh the UI so
+     * the dismissed item disappears immediately.
+     *
+     * @param {Object} account — account the thread belongs to.
+     * @param {string} threadId
+     */
+    _removeThread(account, threadId) {
+        account.fetched = account.fetched.filter(n => n.id !== threadId);
+        account.notifications =
+            account.notifications.filter(n => n.id !== threadId);
+        this._saveCache();
+        this._updateCountLabel();
+        this._updateVisibility();
+        if (this._notifSection)
+            this._rebuildNotificationList();
+    }
+
+    /**
+     * Mute a notification thread via the GitHub API (PUT subscription with
+     * `ignored: true`), then mark it as read.
+     *
+     * Ignoring the subscription stops further notifications for the thread
+     * even when someone comments; marking it read removes it from the list.
+     * The thread is recorded in the `muted-threads` setting so it can be
+     * reviewed and unmuted from the preferences.  Mutes sent by a rule
+     * are not recorded: the rule itself is where they are undone, and it
+     * would otherwise add an entry for every thread it ever matched.
+     *
+     * @param {Object} account — account the notification belongs to.
+     * @param {Object} notif — GitHub notification object (must have `.id`).
+     * @param {boolean} [byRule=false] — the mute comes from a rule.
+     */
+    async _muteThread(account, notif, byRule = false) {
+        if (!account.token || !this._httpSession)
+            return;
+
+        const threadId = notif.id;
+        if (!threadId)
+            return;
+
+        const url = this._buildApiUrl(
+            account, `notifications/threads/${threadId}/subscription`);
+        const message = this._createApiMessage(account, 'PUT', url);
+
+        const body = JSON.stringify({ignored: true});
+        message.set_request_body_from_bytes(
+            'application/json',
+            new GLib.Bytes(new TextEncoder().encode(body)),
+        );
+
+        try {
+            await this._sendApiMessage(account, message);
+
+            /* Guard: extension may have been disabled during await */
+            if (!this._httpSession)
+                return;
+
+            const status = message.get_status();
+
+            if (status === Soup.Status.OK) {
+                if (!byRule)
+                    this._recordMutedThread(account, notif);
+                if (await this._markThreadRead(account, notif) && !byRule)
+                    this._recordHistory(account, notif, 'muted');
             } else {
                 console.error(
-                    `[GitHub Notifications] Mark-thread-read failed: HTTP ${status}`);
+                    `[GitHub Notifications] Mute-thread failed: HTTP ${status}`);
             }
         } catch (e) {
             console.error(
-                `[GitHub Notifications] Mark-thread-read error: ${e.message}`);
+                `[GitHub Notifications] Mute-thread error: ${e.message}`);
         }
     }
+
+    /**
+     * Remember a muted thread in the `muted-threads` setting.
+     *
+     * GitHub offers no endpoint that lists ignored threads, so this local
+     * record is what the preferences show for unmuting.
+     *
+     * @param {Object} account — account the thread belongs to.
+     * @param {Object} notif — GitHub notification object.
+     */
+    _recordMutedThread(account, notif) {
+        if (!this._settings)
+            return;
+
+        /* deepUnpack() keeps the inner values as variants for re-packing */
+        const muted = this._settings.get_value('muted-threads').deepUnpack()
+            .filter(t => t['account'].unpack() !== account.id ||
+                t['id'].unpack() !== notif.id);
+
+        muted.push({
+            'account': GLib.Variant.new_string(account.id),
+            'id': GLib.Variant.new_string(notif.id),
+            'repo': GLib.Variant.new_string(
+                notif.repository?.full_name ?? ''),
+            'title': GLib.Variant.new_string(notif.subject?.title ?? ''),
+            'muted-at': GLib.Variant.new_int64(Math.floor(Date.now() / 1000)),
+        });
+
+        this._settings.set_value('muted-threads',
+            new GLib.Variant('aa{sv}', muted));
+    }
 }
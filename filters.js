@@ -0,0 +1,317 @@
+/*
+ * filters.js — GitHub Notifications Redux
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * Copyright (c) 2026 Nelson Alex Jeppesen
+ *
+ * Repository filters and user-defined rules applied to every fetched
+ * notification list before the count, the menu and the desktop alerts see
+ * it.  Shared by extension.js and prefs.js, so this module must only import
+ * libraries that are safe in both the GNOME Shell and the GTK 4 process.
+ *
+ * Pattern syntax
+ * ──────────────
+ * Patterns are matched against a repository's "owner/name", ignoring case:
+ *
+ *   *         any run of characters except "/"
+ *   ?         any single character except "/"
+ *   my-org    shorthand for "my-org/*" (a pattern without "/")
+ *
+ * Examples:
+ *
+ *   my-org/*          every repository of my-org
+ *   me/dotfiles       a single repository
+ *   *-bots/infra-*    infra-… repositories of owners ending in "-bots"
+ *
+ * A lone "*" before the slash matches any owner, e.g. "*" + "/infra-*".
+ *
+ * Rules
+ * ─────
+ * The `rules` key holds an ordered list of `a{sv}` dictionaries:
+ *
+ *   name     (s)  shown in the preferences
+ *   enabled  (b)  disabled rules never match
+ *   reason   (s)  notification `reason`, e.g. "ci_activity" (empty: any)
+ *   type     (s)  `subject.type`, e.g. "PullRequest" (empty: any)
+ *   repo     (s)  repository glob, see above (empty: any)
+ *   title    (s)  regular expression searched in `subject.title`,
+ *                 ignoring case (empty: any)
+ *   action   (s)  one of RULE_ACTIONS
+ *
+ * There is no author condition: notification threads returned by the API
+ * do not say who triggered them.
+ *
+ * Every matching rule contributes its action.  When "suppress-alert" and
+ * "always-alert" both match, the rule listed first wins.  The "mark-read"
+ * and "mute" actions change threads on GitHub and cannot be undone, so a
+ * rule without any condition never applies them.
+ */
+
+import GLib from 'gi://GLib';
+
+/** Actions a rule can take, in the order offered by the preferences. */
+export const RULE_ACTIONS = [
+    'mark-read',
+    'mute',
+    'suppress-alert',
+    'always-alert',
+    'pin',
+    'highlight',
+];
+
+/** Notification reasons GitHub documents, offered as rule conditions. */
+export const NOTIFICATION_REASONS = [
+    'approval_requested',
+    'assign',
+    'author',
+    'ci_activity',
+    'comment',
+    'invitation',
+    'manual',
+    'member_feature_requested',
+    'mention',
+    'review_requested',
+    'security_advisory_credit',
+    'security_alert',
+    'state_change',
+    'subscribed',
+    'team_mention',
+];
+
+/** Subject types GitHub sends, offered as rule conditions. */
+export const SUBJECT_TYPES = [
+    'CheckSuite',
+    'Commit',
+    'Discussion',
+    'Issue',
+    'PullRequest',
+    'Release',
+    'RepositoryDependabotAlertsThread',
+    'RepositoryInvitation',
+    'RepositoryVulnerabilityAlert',
+    'SecurityAdvisory',
+];
+
+/**
+ * Convert a glob pattern into an anchored, case-insensitive RegExp.
+ *
+ * @param {string} pattern — e.g. "my-org/*" or "me/dotfiles".
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let glob = pattern.trim();
+    if (!glob.includes('/'))
+        glob += '/*';
+
+    const source = [...glob].map(ch => {
+        switch (ch) {
+        case '*':
+            return '[^/]*';
+        case '?':
+            return '[^/]';
+        default:
+            return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }).join('');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a repository name matches any of the given patterns.
+ *
+ * @param {RegExp[]} regexps — patterns compiled with {@link globToRegExp}.
+ * @param {string} fullName — repository "owner/name".
+ * @returns {boolean}
+ */
+function matchesAny(regexps, fullName) {
+    return regexps.some(re => re.test(fullName));
+}
+
+/**
+ * Build a predicate checking a repository against a list of patterns.
+ *
+ * Unlike {@link createRepoFilter}, an empty list matches nothing, so it
+ * suits opt-in settings.
+ *
+ * @param {string[]} patterns — glob patterns; empty ones are ignored.
+ * @returns {function(string): boolean} Called with "owner/name".
+ */
+export function createRepoMatcher(patterns) {
+    const regexps = patterns.filter(p => p.trim()).map(globToRegExp);
+    return fullName => matchesAny(regexps, fullName);
+}
+
+/**
+ * Build a predicate deciding whether a repository's notifications are kept.
+ *
+ * With a non-empty allowlist only matching repositories are kept; the
+ * blocklist is applied afterwards and always wins.  Empty patterns are
+ * ignored.
+ *
+ * @param {string[]} allowlist — patterns from `repo-allowlist`.
+ * @param {string[]} blocklist — patterns from `repo-blocklist`.
+ * @returns {function(string): boolean} Called with "owner/name".
+ */
+export function createRepoFilter(allowlist, blocklist) {
+    const allow = allowlist.filter(p => p.trim()).map(globToRegExp);
+    const block = blocklist.filter(p => p.trim()).map(globToRegExp);
+
+    return fullName => {
+        if (allow.length > 0 && !matchesAny(allow, fullName))
+            return false;
+
+        return !matchesAny(block, fullName);
+    };
+}
+
+/**
+ * Read the configured rules.
+ *
+ * @param {Gio.Settings} settings
+ * @returns {Object[]} Rule objects in evaluation order.
+ */
+export function loadRules(settings) {
+    return settings.get_value('rules').recursiveUnpack().map(dict => ({
+        name: dict['name'] ?? '',
+        enabled: dict['enabled'] ?? true,
+        reason: dict['reason'] ?? '',
+        type: dict['type'] ?? '',
+        repo: dict['repo'] ?? '',
+        title: dict['title'] ?? '',
+        action: RULE_ACTIONS.includes(dict['action'])
+            ? dict['action'] : 'highlight',
+    }));
+}
+
+/**
+ * Write the rule list back to GSettings.
+ *
+ * @param {Gio.Settings} settings
+ * @param {Object[]} rules
+ */
+export function saveRules(settings, rules) {
+    const dicts = rules.map(rule => ({
+        'name': GLib.Variant.new_string(rule.name),
+        'enabled': GLib.Variant.new_boolean(rule.enabled),
+        'reason': GLib.Variant.new_string(rule.reason),
+        'type': GLib.Variant.new_string(rule.type),
+        'repo': GLib.Variant.new_string(rule.repo),
+        'title': GLib.Variant.new_string(rule.title),
+        'action': GLib.Variant.new_string(rule.action),
+    }));
+
+    settings.set_value('rules', new GLib.Variant('aa{sv}', dicts));
+}
+
+/**
+ * Compile a rule's repository glob and title expression.
+ *
+ * @param {Object} rule — rule as returned by {@link loadRules}.
+ * @returns {{rule: Object, repo: RegExp|null, title: RegExp|null,
+ *     error: string|null}} `error` describes an invalid title expression;
+ *     such a rule never matches.
+ */
+export function compileRule(rule) {
+    const compiled = {
+        rule,
+        repo: rule.repo.trim() ? globToRegExp(rule.repo) : null,
+        title: null,
+        error: null,
+    };
+
+    try {
+        if (rule.title)
+            compiled.title = new RegExp(rule.title, 'i');
+    } catch (e) {
+        compiled.error = e.message;
+    }
+
+    return compiled;
+}
+
+/**
+ * Check whether a rule has at least one condition, i.e. does not match
+ * every notification.
+ *
+ * @param {Object} rule — rule as returned by {@link loadRules}.
+ * @returns {boolean}
+ */
+export function hasConditions(rule) {
+    return !!(rule.reason || rule.type || rule.repo.trim() || rule.title);
+}
+
+/**
+ * Check whether a compiled rule matches a notification.
+ *
+ * @param {Object} compiled — result of {@link compileRule}.
+ * @param {Object} notif — GitHub notification object.
+ * @returns {boolean}
+ */
+export function ruleMatches(compiled, notif) {
+    const {rule} = compiled;
+
+    if (!rule.enabled || compiled.error)
+        return false;
+    if (rule.reason && notif.reason !== rule.reason)
+        return false;
+    if (rule.type && notif.subject?.type !== rule.type)
+        return false;
+    if (compiled.repo &&
+        !compiled.repo.test(notif.repository?.full_name ?? ''))
+        return false;
+    if (compiled.title && !compiled.title.test(notif.subject?.title ?? ''))
+        return false;
+
+    return true;
+}
+
+/**
+ * Combine the actions of every rule matching a notification.
+ *
+ * `alert` is "suppress", "always" or null (follow the alert settings);
+ * the first matching rule with an alert action decides it.
+ *
+ * @param {Object[]} compiledRules — results of {@link compileRule}, in
+ *     evaluation order.
+ * @param {Object} notif — GitHub notification object.
+ * @returns {{markRead: boolean, mute: boolean, alert: string|null,
+ *     pin: boolean, highlight: boolean}}
+ */
+export function evaluateRules(compiledRules, notif) {
+    const verdict = {
+        markRead: false,
+        mute: false,
+        alert: null,
+        pin: false,
+        highlight: false,
+    };
+
+    for (const compiled of compiledRules) {
+        if (!ruleMatches(compiled, notif))
+            continue;
+
+        switch (compiled.rule.action) {
+        case 'mark-read':
+            verdict.markRead ||= hasConditions(compiled.rule);
+            break;
+        case 'mute':
+            verdict.mute ||= hasConditions(compiled.rule);
+            break;
+        case 'suppress-alert':
+            verdict.alert ??= 'suppress';
+            break;
+        case 'always-alert':
+            verdict.alert ??= 'always';
+            break;
+        case 'pin':
+            verdict.pin = true;
+            break;
+        case 'highlight':
+            verdict.highlight = true;
+            break;
+        }
+    }
+
+    return verdict;
+}
@@ -17,6 +17,10 @@
           "metadata.json"
           "extension.js"
           "prefs.js"
+          "accounts.js"
+          "secret.js"
+          "filters.js"
+          "storage.js"
           "stylesheet.css"
           "github-symbolic.svg"
         ];
@@ -112,6 +116,10 @@
             cd $src
             ${pkgs.nodejs}/bin/node -c extension.js 2>&1 || true
             ${pkgs.nodejs}/bin/node -c prefs.js 2>&1 || true
+            ${pkgs.nodejs}/bin/node -c accounts.js 2>&1 || true
+            ${pkgs.nodejs}/bin/node -c secret.js 2>&1 || true
+            ${pkgs.nodejs}/bin/node -c filters.js 2>&1 || true
+            ${pkgs.nodejs}/bin/node -c storage.js 2>&1 || true
             echo "Syntax check: OK (ESM imports only valid in GNOME Shell context)" > $out
           '';
 
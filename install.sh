@@ -27,6 +27,10 @@ mkdir -p "${DEST}/schemas"
 cp "${SCRIPT_DIR}/metadata.json" \
   "${SCRIPT_DIR}/extension.js" \
   "${SCRIPT_DIR}/prefs.js" \
+  "${SCRIPT_DIR}/accounts.js" \
+  "${SCRIPT_DIR}/secret.js" \
+  "${SCRIPT_DIR}/filters.js" \
+  "${SCRIPT_DIR}/storage.js" \
   "${SCRIPT_DIR}/stylesheet.css" \
   "${SCRIPT_DIR}/github-symbolic.svg" \
   "${DEST}/"
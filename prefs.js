@@ -8,13 +8,24 @@
  * Runs in a separate GTK 4 process — never import Clutter/St/Shell here.
  *
  * Pages:
- *   1. Authentication — domain, personal access token, connection test
- *   2. Behavior       — refresh interval, desktop alerts, participating-only,
- *                        auto-hide indicator, hide count
+ *   1. Authentication — list of accounts (hostname, personal access token
+ *                        stored in the keyring, OAuth device-flow sign-in,
+ *                        participating-only, label), per-account
+ *                        connection test, default OAuth client ID
+ *   2. Behavior       — refresh interval, page limit, desktop alerts and
+ *                        their burst threshold, auto-dismiss of closed
+ *                        items, dismiss button action, quiet hours
+ *                        and Do Not Disturb, recently read history,
+ *                        auto-hide indicator, hide count, badge reasons
+ *                        and remaining count
+ *   3. Filters        — repository allowlist / blocklist, CI status
+ *                        repositories, rules and their dry-run preview,
+ *                        muted threads (review and unmute)
  */
 
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import Gdk from 'gi://Gdk?version=4.0';
 import Gtk from 'gi://Gtk?version=4.0';
 import Adw from 'gi://Adw';
 import Soup from 'gi://Soup?version=3.0';
@@ -22,6 +33,29 @@ import Soup from 'gi://Soup?version=3.0';
 import {ExtensionPreferences, gettext as _} from
     'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import {
+    DEFAULT_HOST, createAccount, getAccountLabel, getApiBase,
+    getOAuthClientId, loadAccounts, migrateLegacyAccount, saveAccounts,
+} from './accounts.js';
+import {
+    NOTIFICATION_REASONS, RULE_ACTIONS, SUBJECT_TYPES, compileRule,
+    createRepoFilter, hasConditions, loadRules, ruleMatches, saveRules,
+} from './filters.js';
+import {
+    clearToken, lookupToken, migrateTokensToKeyring, storeToken,
+} from './secret.js';
+import {HISTORY_FILE, getDataFile, writeJson} from './storage.js';
+
+Gio._promisify(Soup.Session.prototype,
+    'send_and_read_async', 'send_and_read_finish');
+
+/**
+ * OAuth scope requested by "Sign in with GitHub".  It cannot read private
+ * repositories, so their row state, CI status and discussion links need a
+ * personal token with the `repo` scope instead.
+ */
+const OAUTH_SCOPE = 'notifications';
+
 
 export default class GitHubNotificationsPreferences extends ExtensionPreferences {
     /**
@@ -37,6 +71,7 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
 
         this._buildAuthPage(window, settings);
         this._buildBehaviorPage(window, settings);
+        this._buildFiltersPage(window, settings);
     }
 
     // ── Authentication Page ───────────────────────────────────────────────────
@@ -44,8 +79,9 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
     /**
      * Build the "Authentication" preferences page.
      *
-     * Contains the GitHub hostname entry, personal access token entry,
-     * help text, and a connection test button.
+     * Contains the editable list of GitHub accounts (each with its own
+     * hostname, personal access token, participating-only flag, label and
+     * connection test) and help text.
      *
      * @param {Adw.PreferencesWindow} window
      * @param {Gio.Settings} settings
@@ -57,30 +93,67 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
         });
         window.add(page);
 
-        /* ── Credentials group ────────────────────────────────────────── */
-        const credGroup = new Adw.PreferencesGroup({
-            title: _('GitHub Credentials'),
-            description: _('Configure your GitHub access token'),
+        /* Bring a pre-multi-account configuration into the list first */
+        migrateLegacyAccount(settings);
+
+        /* ── Accounts group ───────────────────────────────────────────── */
+        const addBtn = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Account'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
         });
-        page.add(credGroup);
 
-        /* Domain (most users leave this as github.com) */
-        const domainRow = new Adw.EntryRow({
-            title: _('GitHub Hostname'),
-            show_apply_button: true,
+        const accountsGroup = new Adw.PreferencesGroup({
+            title: _('GitHub Accounts'),
+            description: _(
+                'Each account is polled separately; the panel shows the ' +
+                'combined count'),
+            header_suffix: addBtn,
         });
-        settings.bind('domain', domainRow, 'text',
-            Gio.SettingsBindFlags.DEFAULT);
-        credGroup.add(domainRow);
+        page.add(accountsGroup);
 
-        /* Personal access token (masked input) */
-        const tokenRow = new Adw.PasswordEntryRow({
-            title: _('Personal Access Token'),
-            show_apply_button: true,
+        /* Rows currently in the group, so they can be rebuilt */
+        const rows = [];
+        const populate = () => {
+            for (const row of rows.splice(0))
+                accountsGroup.remove(row);
+
+            const accounts = loadAccounts(settings);
+            if (accounts.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No accounts configured'),
+                    subtitle: _('Click + to add a GitHub account'),
+                    activatable: false,
+                }));
+            }
+
+            for (const account of accounts)
+                rows.push(this._buildAccountRow(settings, account, populate));
+
+            for (const row of rows)
+                accountsGroup.add(row);
+        };
+
+        addBtn.connect('clicked', () => {
+            const accounts = loadAccounts(settings);
+            accounts.push(createAccount());
+            saveAccounts(settings, accounts);
+
+            populate();
+            rows.at(-1).expanded = true;
+        });
+
+        populate();
+
+        /* Move plaintext tokens into the keyring, then show the result */
+        migrateTokensToKeyring(settings).then(migrated => {
+            if (migrated)
+                populate();
+        }).catch(e => {
+            console.error(
+                `[GitHub Notifications] Token migration error: ${e.message}`);
         });
-        settings.bind('token', tokenRow, 'text',
-            Gio.SettingsBindFlags.DEFAULT);
-        credGroup.add(tokenRow);
 
         /* ── Help text group ──────────────────────────────────────────── */
         const helpGroup = new Adw.PreferencesGroup();
@@ -91,28 +164,407 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
             subtitle: _(
                 'Visit https://github.com/settings/tokens/new\n' +
                 'Select only the "notifications" scope, then generate ' +
-                'and paste above.\n' +
-                'Only GitHub Enterprise users need to change the hostname.'),
+                'and paste it into the account.\n' +
+                'Only GitHub Enterprise accounts need to change the hostname.'),
             activatable: false,
         }));
 
-        /* ── Connection test group ────────────────────────────────────── */
-        this._buildTestRow(page, settings);
+        /* ── OAuth group ──────────────────────────────────────────────── */
+        const oauthGroup = new Adw.PreferencesGroup({
+            title: _('Sign in with GitHub'),
+            description: _(
+                'Client ID of an OAuth App with device flow enabled, ' +
+                'required for Sign In; none is built in. GitHub ' +
+                'Enterprise accounts can set their own in the account. ' +
+                'Sign In only grants the notifications scope: pull ' +
+                'request and issue state, CI status and discussion links ' +
+                'of private repositories need a token with the repo ' +
+                'scope.'),
+        });
+        page.add(oauthGroup);
+
+        const clientIdRow = new Adw.EntryRow({
+            title: _('Default OAuth Client ID'),
+            show_apply_button: true,
+        });
+        settings.bind('oauth-client-id', clientIdRow, 'text',
+            Gio.SettingsBindFlags.DEFAULT);
+        oauthGroup.add(clientIdRow);
     }
 
     /**
-     * Build the "Test Connection" row that verifies the token against the
-     * GitHub API with a single lightweight request.
+     * Build the expandable row that edits a single account.
+     *
+     * Entry rows write back to GSettings when their apply button is
+     * pressed; the switch writes back immediately.  The token is read from
+     * and written to the keyring instead of GSettings.
      *
-     * @param {Adw.PreferencesPage} page
      * @param {Gio.Settings} settings
+     * @param {Object} account — account as returned by loadAccounts().
+     * @param {Function} onRemoved — called after the account was removed.
+     * @returns {Adw.ExpanderRow}
      */
-    _buildTestRow(page, settings) {
-        const group = new Adw.PreferencesGroup({
-            title: _('Connection Test'),
+    _buildAccountRow(settings, account, onRemoved) {
+        const row = new Adw.ExpanderRow({
+            title: GLib.markup_escape_text(getAccountLabel(account), -1),
+            subtitle: GLib.markup_escape_text(account.host, -1),
         });
-        page.add(group);
 
+        const update = changes => {
+            Object.assign(account, changes);
+            this._updateAccount(settings, account.id, changes);
+            row.title = GLib.markup_escape_text(getAccountLabel(account), -1);
+            row.subtitle = GLib.markup_escape_text(account.host, -1);
+        };
+
+        /* Display name (optional) */
+        const labelRow = new Adw.EntryRow({
+            title: _('Label'),
+            text: account.label,
+            show_apply_button: true,
+        });
+        labelRow.connect('apply', () => update({label: labelRow.text}));
+        row.add_row(labelRow);
+
+        /* Hostname (most users leave this as github.com) */
+        const hostRow = new Adw.EntryRow({
+            title: _('GitHub Hostname'),
+            text: account.host,
+            show_apply_button: true,
+        });
+        hostRow.connect('apply', () => {
+            update({host: hostRow.text.trim() || DEFAULT_HOST});
+            hostRow.text = account.host;
+        });
+        row.add_row(hostRow);
+
+        /* Personal access token (masked input, stored in the keyring) */
+        const tokenRow = new Adw.PasswordEntryRow({
+            title: _('Personal Access Token'),
+            show_apply_button: true,
+        });
+        tokenRow.connect('apply', () => {
+            this._saveToken(settings, account, tokenRow.text.trim())
+                .catch(e => {
+                    tokenRow.add_css_class('error');
+                    console.error(
+                        `[GitHub Notifications] Keyring store error: ${e.message}`);
+                });
+        });
+        row.add_row(tokenRow);
+
+        lookupToken(account.id).then(({token, locked}) => {
+            tokenRow.text = token ?? '';
+            if (locked)
+                tokenRow.title = _('Personal Access Token (keyring locked)');
+        }).catch(e => {
+            console.error(
+                `[GitHub Notifications] Keyring lookup error: ${e.message}`);
+        });
+
+        /* OAuth device-flow sign-in (alternative to pasting a token) */
+        row.add_row(this._buildSignInRow(settings, account, token => {
+            tokenRow.text = token;
+        }));
+
+        /* Per-account OAuth App (needed for GitHub Enterprise hosts) */
+        const clientIdRow = new Adw.EntryRow({
+            title: _('OAuth Client ID (optional)'),
+            text: account.oauthClientId,
+            show_apply_button: true,
+        });
+        clientIdRow.connect('apply', () =>
+            update({oauthClientId: clientIdRow.text.trim()}));
+        row.add_row(clientIdRow);
+
+        /* Participating-only toggle */
+        const participatingRow = new Adw.SwitchRow({
+            title: _('Participating Only'),
+            subtitle: _(
+                'Only show notifications where you are directly involved'),
+            active: account.participatingOnly,
+        });
+        participatingRow.connect('notify::active', () =>
+            update({participatingOnly: participatingRow.active}));
+        row.add_row(participatingRow);
+
+        /* Connection test */
+        row.add_row(this._buildTestRow(settings, account.id));
+
+        /* Remove button */
+        const removeRow = new Adw.ActionRow({
+            title: _('Remove Account'),
+        });
+        const removeBtn = new Gtk.Button({
+            label: _('Remove'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        removeBtn.connect('clicked', () => {
+            saveAccounts(settings,
+                loadAccounts(settings).filter(a => a.id !== account.id));
+            clearToken(account.id).catch(e => {
+                console.error(
+                    `[GitHub Notifications] Keyring clear error: ${e.message}`);
+            });
+            onRemoved();
+        });
+        removeRow.add_suffix(removeBtn);
+        row.add_row(removeRow);
+
+        return row;
+    }
+
+    /**
+     * Apply changes to one stored account and write the list back.
+     *
+     * @param {Gio.Settings} settings
+     * @param {string} accountId
+     * @param {Object} changes — account fields to overwrite.
+     */
+    _updateAccount(settings, accountId, changes) {
+        const accounts = loadAccounts(settings);
+        const account = accounts.find(a => a.id === accountId);
+        if (!account)
+            return;
+
+        Object.assign(account, changes);
+        saveAccounts(settings, accounts);
+    }
+
+    /**
+     * Store an account's token in the keyring (or remove it when empty),
+     * then bump the account's `token-revision` so the running extension
+     * reloads it.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} account
+     * @param {string} token
+     */
+    async _saveToken(settings, account, token) {
+        if (token)
+            await storeToken(account, token);
+        else
+            await clearToken(account.id);
+
+        const stored = loadAccounts(settings).find(a => a.id === account.id);
+        if (stored) {
+            this._updateAccount(settings, account.id, {
+                token: '',
+                tokenRevision: stored.tokenRevision + 1,
+            });
+        }
+    }
+
+    // ── OAuth Device Flow ─────────────────────────────────────────────────────
+
+    /**
+     * Build the "Sign in with GitHub" row that obtains a token through the
+     * OAuth device authorization flow.
+     *
+     * While the flow runs, the row shows the user code and the button
+     * cancels it.  Leaving the page cancels a running flow as well.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} account — account to sign in.
+     * @param {Function} onToken — called with the new token once stored.
+     * @returns {Adw.ActionRow}
+     */
+    _buildSignInRow(settings, account, onToken) {
+        const subtitle = _('Authorize in the browser instead of pasting a token');
+        const row = new Adw.ActionRow({
+            title: _('Sign in with GitHub'),
+            subtitle,
+        });
+
+        const btn = new Gtk.Button({
+            label: _('Sign In'),
+            valign: Gtk.Align.CENTER,
+        });
+        row.add_suffix(btn);
+
+        let cancellable = null;
+
+        btn.connect('clicked', async () => {
+            /* Second click while running — cancel */
+            if (cancellable) {
+                cancellable.cancel();
+                return;
+            }
+
+            cancellable = new Gio.Cancellable();
+            btn.label = _('Cancel');
+            row.subtitle = _('Requesting code\u2026');
+
+            try {
+                const token = await this._runDeviceFlow(
+                    settings, account, row, cancellable);
+                row.subtitle = _('Signed in \u2013 token stored in keyring');
+                onToken(token);
+            } catch (e) {
+                row.subtitle = e.matches?.(
+                    Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)
+                    ? subtitle
+                    : GLib.markup_escape_text(e.message, -1);
+            } finally {
+                cancellable = null;
+                btn.label = _('Sign In');
+            }
+        });
+
+        row.connect('unrealize', () => cancellable?.cancel());
+
+        return row;
+    }
+
+    /**
+     * Run the OAuth device authorization flow for an account.
+     *
+     *   1. POST /login/device/code — obtain a device code and user code
+     *   2. Show the user code, copy it to the clipboard and open the
+     *      verification URL in the browser
+     *   3. POST /login/oauth/access_token every `interval` seconds until
+     *      the user authorizes, declines, or the code expires
+     *
+     * The resulting token is stored in the keyring like a pasted one.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} account
+     * @param {Adw.ActionRow} row — row whose subtitle shows progress.
+     * @param {Gio.Cancellable} cancellable
+     * @returns {Promise<string>} The access token.
+     */
+    async _runDeviceFlow(settings, account, row, cancellable) {
+        const clientId = getOAuthClientId(settings, account);
+        if (!clientId)
+            throw new Error(_('No OAuth client ID configured'));
+
+        const session = new Soup.Session({
+            user_agent: 'gnome-github-notifications-redux',
+        });
+        const base = `https://${account.host}/login`;
+
+        const code = await this._postForm(session, `${base}/device/code`, {
+            client_id: clientId,
+            scope: OAUTH_SCOPE,
+        }, cancellable);
+        if (!code.device_code)
+            throw new Error(code.error_description ?? code.error ?? 'HTTP error');
+
+        /* Translators: followed by the user code and verification URL */
+        row.subtitle = GLib.markup_escape_text(
+            `${_('Enter code')} ${code.user_code} \u2013 ` +
+            `${code.verification_uri}`, -1);
+
+        row.get_clipboard().set_content(
+            Gdk.ContentProvider.new_for_value(code.user_code));
+        Gtk.show_uri(row.get_root(), code.verification_uri,
+            Gdk.CURRENT_TIME);
+
+        let interval = code.interval ?? 5;
+        const deadline = Date.now() + (code.expires_in ?? 900) * 1000;
+
+        while (Date.now() < deadline) {
+            await this._sleep(interval, cancellable);
+
+            const result = await this._postForm(
+                session, `${base}/oauth/access_token`, {
+                    client_id: clientId,
+                    device_code: code.device_code,
+                    grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                }, cancellable);
+
+            if (result.access_token) {
+                await this._saveToken(settings, account, result.access_token);
+                return result.access_token;
+            }
+
+            switch (result.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                interval = result.interval ?? interval + 5;
+                break;
+            default:
+                throw new Error(
+                    result.error_description ?? result.error ?? 'HTTP error');
+            }
+        }
+
+        throw new Error(_('The code expired, please try again'));
+    }
+
+    /**
+     * POST a form-encoded body and parse the JSON reply.
+     *
+     * @param {Soup.Session} session
+     * @param {string} url
+     * @param {Object<string, string>} params — form fields.
+     * @param {Gio.Cancellable} cancellable
+     * @returns {Promise<Object>}
+     */
+    async _postForm(session, url, params, cancellable) {
+        const body = Object.entries(params)
+            .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+            .join('&');
+
+        const message = Soup.Message.new('POST', url);
+        message.get_request_headers().append('Accept', 'application/json');
+        message.set_request_body_from_bytes(
+            'application/x-www-form-urlencoded',
+            new GLib.Bytes(new TextEncoder().encode(body)));
+
+        const bytes = await session.send_and_read_async(
+            message, GLib.PRIORITY_DEFAULT, cancellable);
+
+        const data = bytes?.get_data();
+        if (!data)
+            throw new Error(`HTTP ${message.get_status()}`);
+
+        return JSON.parse(new TextDecoder('utf-8').decode(data));
+    }
+
+    /**
+     * Resolve after the given number of seconds, or reject when cancelled.
+     *
+     * @param {number} seconds
+     * @param {Gio.Cancellable} cancellable
+     * @returns {Promise<void>}
+     */
+    _sleep(seconds, cancellable) {
+        const cancelled = () => new GLib.Error(Gio.IOErrorEnum,
+            Gio.IOErrorEnum.CANCELLED, 'Operation was cancelled');
+
+        return new Promise((resolve, reject) => {
+            if (cancellable.is_cancelled()) {
+                reject(cancelled());
+                return;
+            }
+
+            let cancelId = 0;
+            const sourceId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT, seconds, () => {
+                    cancellable.disconnect(cancelId);
+                    resolve();
+                    return GLib.SOURCE_REMOVE;
+                });
+
+            cancelId = cancellable.connect('cancelled', () => {
+                GLib.Source.remove(sourceId);
+                reject(cancelled());
+            });
+        });
+    }
+
+    /**
+     * Build the "Verify Credentials" row that checks an account's token
+     * against the GitHub API with a single lightweight request.
+     *
+     * @param {Gio.Settings} settings
+     * @param {string} accountId — account to test.
+     * @returns {Adw.ActionRow}
+     */
+    _buildTestRow(settings, accountId) {
         const row = new Adw.ActionRow({
             title: _('Verify Credentials'),
             subtitle: _('Test your token against the GitHub API'),
@@ -136,27 +588,45 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
         row.add_suffix(btn);
         row.set_activatable_widget(btn);
 
-        btn.connect('clicked', () => {
-            this._runConnectionTest(settings, statusLabel, btn);
+        btn.connect('clicked', async () => {
+            const account =
+                loadAccounts(settings).find(a => a.id === accountId);
+            if (!account)
+                return;
+
+            try {
+                const {token, locked} = await lookupToken(account.id);
+                if (locked) {
+                    statusLabel.label = _('Keyring locked');
+                    statusLabel.css_classes = ['error'];
+                    return;
+                }
+
+                this._runConnectionTest(
+                    {...account, token: token ?? account.token},
+                    statusLabel, btn);
+            } catch (e) {
+                statusLabel.label = e.message;
+                statusLabel.css_classes = ['error'];
+            }
         });
 
-        group.add(row);
+        return row;
     }
 
     /**
-     * Execute a lightweight API call to verify the configured credentials.
+     * Execute a lightweight API call to verify an account's credentials.
      *
      * Fetches a single notification (per_page=1) and inspects the HTTP
      * status to determine whether the token is valid.  Updates the status
      * label with the result.
      *
-     * @param {Gio.Settings} settings
+     * @param {Object} account — account whose host and token to test.
      * @param {Gtk.Label} statusLabel — label to show result text.
      * @param {Gtk.Button} btn — button to disable during the test.
      */
-    _runConnectionTest(settings, statusLabel, btn) {
-        const domain = settings.get_string('domain');
-        const token = settings.get_string('token');
+    _runConnectionTest(account, statusLabel, btn) {
+        const token = account.token;
 
         if (!token) {
             statusLabel.label = _('No token set');
@@ -172,11 +642,7 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
             user_agent: 'gnome-github-notifications-redux',
         });
 
-        /* Build URL the same way the main extension does */
-        const base = domain === 'github.com'
-            ? 'https://api.github.com'
-            : `https://${domain}/api/v3`;
-        const url = `${base}/notifications?per_page=1`;
+        const url = `${getApiBase(account.host)}/notifications?per_page=1`;
 
         const message = Soup.Message.new('GET', url);
         message.get_request_headers().append(
@@ -223,14 +689,717 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
         );
     }
 
+    // ── Filters Page ──────────────────────────────────────────────────────────
+
+    /**
+     * Build the "Filters" preferences page.
+     *
+     * Contains the repository allowlist and blocklist editors, the CI
+     * status opt-in list, the rule editor with its dry-run preview, and the
+     * list of threads muted from the extension, each with an "Unmute"
+     * button.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Gio.Settings} settings
+     */
+    _buildFiltersPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Filters'),
+            icon_name: 'system-search-symbolic',
+        });
+        window.add(page);
+
+        this._buildPatternGroup(window, page, settings, 'repo-allowlist',
+            _('Only Show Repositories'),
+            _('When any pattern is listed, only notifications from matching ' +
+              'repositories are shown. Patterns match \u201Cowner/name\u201D, ' +
+              'e.g. \u201Cmy-org/*\u201D or \u201C*/infra-*\u201D.'));
+        this._buildPatternGroup(window, page, settings, 'repo-blocklist',
+            _('Hide Repositories'),
+            _('Notifications from matching repositories are never shown, ' +
+              'even when they are on the list above.'));
+
+        this._buildPatternGroup(window, page, settings, 'ci-status-repos',
+            _('CI Status'),
+            _('Pull requests from matching repositories show whether their ' +
+              'checks pass. Each lookup costs API requests, so only list ' +
+              'the repositories you need.'));
+
+        const ciAlertGroup = new Adw.PreferencesGroup();
+        const ciAlertRow = new Adw.SwitchRow({
+            title: _('Alert on Failed Checks'),
+            subtitle: _(
+                'Show a desktop notification when checks go from pending ' +
+                'to failed'),
+        });
+        settings.bind('alert-ci-failure', ciAlertRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        ciAlertGroup.add(ciAlertRow);
+        page.add(ciAlertGroup);
+
+        this._buildRulesGroup(page, settings);
+        this._buildRulePreviewGroup(page, settings);
+
+        this._buildMutedGroup(window, page, settings);
+    }
+
+    /**
+     * Build an editor group for a list of repository glob patterns.
+     *
+     * Each pattern gets a row with a remove button; an entry row at the
+     * bottom appends new patterns.  The rows are rebuilt whenever the
+     * setting changes.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     * @param {string} key — `as` settings key holding the patterns.
+     * @param {string} title — group title.
+     * @param {string} description — group description.
+     */
+    _buildPatternGroup(window, page, settings, key, title, description) {
+        const group = new Adw.PreferencesGroup({title, description});
+        page.add(group);
+
+        const addRow = new Adw.EntryRow({
+            title: _('Add Pattern'),
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const pattern = addRow.get_text().trim();
+            const patterns = settings.get_strv(key);
+
+            if (pattern && !patterns.includes(pattern))
+                settings.set_strv(key, [...patterns, pattern]);
+            addRow.set_text('');
+        });
+
+        const rows = [];
+        const populate = () => {
+            for (const row of rows.splice(0))
+                group.remove(row);
+            group.remove(addRow);
+
+            for (const pattern of settings.get_strv(key)) {
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(pattern, -1),
+                });
+
+                const removeBtn = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    tooltip_text: _('Remove'),
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                removeBtn.connect('clicked', () => {
+                    settings.set_strv(key,
+                        settings.get_strv(key).filter(p => p !== pattern));
+                });
+                row.add_suffix(removeBtn);
+
+                rows.push(row);
+                group.add(row);
+            }
+
+            group.add(addRow);
+        };
+
+        const changedId = settings.connect(`changed::${key}`, populate);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        group.add(addRow);
+        populate();
+    }
+
+    /**
+     * Build the ordered rule editor group.
+     *
+     * Each rule is an expander row holding its conditions and action.  The
+     * rows are only rebuilt when rules are added, removed or reordered, so
+     * an open row keeps its state while it is being edited.
+     *
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     */
+    _buildRulesGroup(page, settings) {
+        const addBtn = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Rule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Rules'),
+            description: _(
+                'Rules run on every refresh, top to bottom. Every matching ' +
+                'rule applies; for the alert actions the first match wins.'),
+            header_suffix: addBtn,
+        });
+        page.add(group);
+
+        const rows = [];
+        const populate = () => {
+            for (const row of rows.splice(0))
+                group.remove(row);
+
+            const rules = loadRules(settings);
+            if (rules.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No rules'),
+                    subtitle: _('Click + to add a rule'),
+                    activatable: false,
+                }));
+            }
+
+            rules.forEach((rule, index) => {
+                rows.push(this._buildRuleRow(
+                    settings, rule, index, rules.length, populate));
+            });
+
+            for (const row of rows)
+                group.add(row);
+        };
+
+        /* New rules start disabled so a half-edited rule never acts */
+        addBtn.connect('clicked', () => {
+            const rules = loadRules(settings);
+            rules.push({
+                name: '',
+                enabled: false,
+                reason: '',
+                type: '',
+                repo: '',
+                title: '',
+                action: 'highlight',
+            });
+            saveRules(settings, rules);
+
+            populate();
+            rows.at(-1).expanded = true;
+        });
+
+        populate();
+    }
+
+    /**
+     * Build the expander row editing a single rule.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} rule — rule as returned by loadRules().
+     * @param {number} index — position of the rule in the list.
+     * @param {number} count — number of rules in the list.
+     * @param {Function} onMoved — called after the rule was moved or
+     *     removed, to rebuild the list.
+     * @returns {Adw.ExpanderRow}
+     */
+    _buildRuleRow(settings, rule, index, count, onMoved) {
+        const row = new Adw.ExpanderRow();
+
+        const refresh = () => {
+            row.title = GLib.markup_escape_text(
+                rule.name || _('Unnamed Rule'), -1);
+            row.subtitle = GLib.markup_escape_text(
+                this._describeRule(rule), -1);
+        };
+        refresh();
+
+        const update = changes => {
+            Object.assign(rule, changes);
+
+            const rules = loadRules(settings);
+            Object.assign(rules[index], changes);
+            saveRules(settings, rules);
+
+            refresh();
+        };
+
+        /* Enable switch directly on the collapsed row */
+        const enabledSwitch = new Gtk.Switch({
+            active: rule.enabled,
+            valign: Gtk.Align.CENTER,
+        });
+        enabledSwitch.connect('notify::active', () =>
+            update({enabled: enabledSwitch.active}));
+        row.add_suffix(enabledSwitch);
+
+        const nameRow = new Adw.EntryRow({
+            title: _('Name'),
+            text: rule.name,
+            show_apply_button: true,
+        });
+        nameRow.connect('apply', () => update({name: nameRow.text.trim()}));
+        row.add_row(nameRow);
+
+        row.add_row(this._buildChoiceRow(
+            _('Reason'), ['', ...NOTIFICATION_REASONS],
+            [_('Any'), ...NOTIFICATION_REASONS], rule.reason,
+            reason => update({reason})));
+
+        row.add_row(this._buildChoiceRow(
+            _('Type'), ['', ...SUBJECT_TYPES],
+            [_('Any'), ...SUBJECT_TYPES], rule.type,
+            type => update({type})));
+
+        const repoRow = new Adw.EntryRow({
+            title: _('Repository Pattern (e.g. my-org/*)'),
+            text: rule.repo,
+            show_apply_button: true,
+        });
+        repoRow.connect('apply', () => update({repo: repoRow.text.trim()}));
+        row.add_row(repoRow);
+
+        const titleRow = new Adw.EntryRow({
+            title: _('Title Regular Expression'),
+            text: rule.title,
+            show_apply_button: true,
+        });
+        titleRow.connect('apply', () => {
+            const {error} = compileRule({...rule, title: titleRow.text});
+            if (error) {
+                titleRow.add_css_class('error');
+                return;
+            }
+
+            titleRow.remove_css_class('error');
+            update({title: titleRow.text});
+        });
+        row.add_row(titleRow);
+
+        row.add_row(this._buildChoiceRow(
+            _('Action'), RULE_ACTIONS,
+            RULE_ACTIONS.map(a => this._getRuleActionLabel(a)), rule.action,
+            action => update({action})));
+
+        /* Reorder / remove */
+        const orderRow = new Adw.ActionRow({title: _('Order')});
+
+        const move = offset => {
+            const rules = loadRules(settings);
+            const [moved] = rules.splice(index, 1);
+            rules.splice(index + offset, 0, moved);
+            saveRules(settings, rules);
+            onMoved();
+        };
+
+        const upBtn = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            tooltip_text: _('Move Up'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            sensitive: index > 0,
+        });
+        upBtn.connect('clicked', () => move(-1));
+        orderRow.add_suffix(upBtn);
+
+        const downBtn = new Gtk.Button({
+            icon_name: 'go-down-symbolic',
+            tooltip_text: _('Move Down'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            sensitive: index < count - 1,
+        });
+        downBtn.connect('clicked', () => move(1));
+        orderRow.add_suffix(downBtn);
+
+        const removeBtn = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove Rule'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat', 'destructive-action'],
+        });
+        removeBtn.connect('clicked', () => {
+            const rules = loadRules(settings);
+            rules.splice(index, 1);
+            saveRules(settings, rules);
+            onMoved();
+        });
+        orderRow.add_suffix(removeBtn);
+
+        row.add_row(orderRow);
+
+        return row;
+    }
+
+    /**
+     * Build a combo row choosing one of a fixed list of string values.
+     *
+     * @param {string} title
+     * @param {string[]} values — values stored in the setting.
+     * @param {string[]} labels — labels shown for the values.
+     * @param {string} current — value to select initially.
+     * @param {function(string)} onChanged — called with the new value.
+     * @returns {Adw.ComboRow}
+     */
+    _buildChoiceRow(title, values, labels, current, onChanged) {
+        const row = new Adw.ComboRow({
+            title,
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(0, values.indexOf(current)),
+        });
+
+        row.connect('notify::selected', () => {
+            const idx = row.get_selected();
+            if (idx >= 0 && idx < values.length)
+                onChanged(values[idx]);
+        });
+
+        return row;
+    }
+
+    /**
+     * Return the translated label of a rule action.
+     *
+     * @param {string} action — one of RULE_ACTIONS.
+     * @returns {string}
+     */
+    _getRuleActionLabel(action) {
+        switch (action) {
+        case 'mark-read':
+            return _('Mark as Read');
+        case 'mute':
+            return _('Mute Thread');
+        case 'suppress-alert':
+            return _('Suppress Alert');
+        case 'always-alert':
+            return _('Always Alert');
+        case 'pin':
+            return _('Pin to Top');
+        default:
+            return _('Highlight');
+        }
+    }
+
+    /**
+     * Summarise a rule's conditions and action for its row subtitle.
+     *
+     * @param {Object} rule
+     * @returns {string} e.g. "ci_activity · dependabot/* → Mark as Read".
+     */
+    _describeRule(rule) {
+        const conditions = [rule.reason, rule.type, rule.repo,
+            rule.title ? `/${rule.title}/` : ''].filter(c => c);
+        let summary = conditions.join(' · ');
+        if (!hasConditions(rule)) {
+            summary = rule.action === 'mark-read' || rule.action === 'mute'
+                ? _('Needs a condition') : _('Every notification');
+        }
+        const state = rule.enabled ? '' : ` (${_('disabled')})`;
+
+        return `${summary} → ${this._getRuleActionLabel(rule.action)}` +
+            state;
+    }
+
+    /**
+     * Build the dry-run group previewing which current notifications each
+     * rule would hit.
+     *
+     * Nothing is changed on GitHub: the preview downloads the first page of
+     * unread notifications of every account and only evaluates the rules.
+     *
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     */
+    _buildRulePreviewGroup(page, settings) {
+        const previewBtn = new Gtk.Button({
+            label: _('Preview'),
+            valign: Gtk.Align.CENTER,
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Dry Run'),
+            description: _(
+                'Show which of your current notifications each rule would ' +
+                'hit, without acting on them'),
+            header_suffix: previewBtn,
+        });
+        page.add(group);
+
+        const rows = [];
+        const show = newRows => {
+            for (const row of rows.splice(0))
+                group.remove(row);
+
+            rows.push(...newRows);
+            for (const row of rows)
+                group.add(row);
+        };
+
+        previewBtn.connect('clicked', async () => {
+            previewBtn.sensitive = false;
+            show([new Adw.ActionRow({title: _('Loading\u2026')})]);
+
+            try {
+                show(await this._buildRulePreviewRows(settings));
+            } catch (e) {
+                show([new Adw.ActionRow({
+                    title: _('Preview failed'),
+                    subtitle: GLib.markup_escape_text(e.message, -1),
+                })]);
+            } finally {
+                previewBtn.sensitive = true;
+            }
+        });
+    }
+
+    /**
+     * Fetch the current notifications and build one row per rule listing
+     * the notifications it matches.
+     *
+     * @param {Gio.Settings} settings
+     * @returns {Promise<Adw.PreferencesRow[]>}
+     */
+    async _buildRulePreviewRows(settings) {
+        const repoFilter = createRepoFilter(
+            settings.get_strv('repo-allowlist'),
+            settings.get_strv('repo-blocklist'));
+
+        const session = new Soup.Session({
+            user_agent: 'gnome-github-notifications-redux',
+        });
+
+        const notifications = [];
+        for (const account of loadAccounts(settings)) {
+            const list = await this._fetchPreviewNotifications(
+                session, account);
+            notifications.push(...list.filter(n =>
+                repoFilter(n.repository?.full_name ?? '')));
+        }
+
+        const rules = loadRules(settings).map(compileRule);
+        if (rules.length === 0)
+            return [new Adw.ActionRow({title: _('No rules')})];
+
+        return rules.map(compiled => {
+            const row = new Adw.ExpanderRow({
+                title: GLib.markup_escape_text(
+                    compiled.rule.name || _('Unnamed Rule'), -1),
+            });
+
+            if (compiled.error) {
+                row.subtitle = GLib.markup_escape_text(compiled.error, -1);
+                return row;
+            }
+
+            const hits = notifications.filter(n => ruleMatches(compiled, n));
+            row.subtitle = `${_('Matching notifications:')} ${hits.length}`;
+
+            for (const notif of hits) {
+                row.add_row(new Adw.ActionRow({
+                    title: GLib.markup_escape_text(
+                        notif.subject?.title ?? '', -1),
+                    subtitle: GLib.markup_escape_text(
+                        `${notif.repository?.full_name ?? ''} · ` +
+                        `${notif.reason ?? ''}`, -1),
+                }));
+            }
+
+            return row;
+        });
+    }
+
+    /**
+     * Download the first page of an account's unread notifications.
+     *
+     * @param {Soup.Session} session
+     * @param {Object} account
+     * @returns {Promise<Object[]>} Empty when the account has no token.
+     */
+    async _fetchPreviewNotifications(session, account) {
+        const {token} = await lookupToken(account.id);
+        if (!token && !account.token)
+            return [];
+
+        let url = `${getApiBase(account.host)}/notifications?per_page=50`;
+        if (account.participatingOnly)
+            url += '&participating=true';
+
+        const message = Soup.Message.new('GET', url);
+        message.get_request_headers().append(
+            'Authorization', `Bearer ${token ?? account.token}`);
+        message.get_request_headers().append(
+            'Accept', 'application/vnd.github+json');
+
+        const bytes = await session.send_and_read_async(
+            message, GLib.PRIORITY_DEFAULT, null);
+
+        const status = message.get_status();
+        if (status !== Soup.Status.OK) {
+            throw new Error(
+                `${getAccountLabel(account)}: HTTP ${status}`);
+        }
+
+        const data = bytes?.get_data();
+        if (!data)
+            return [];
+
+        const list = JSON.parse(new TextDecoder('utf-8').decode(data));
+        return Array.isArray(list) ? list : [];
+    }
+
+    /**
+     * Build the "Muted Threads" group listing the `muted-threads` setting.
+     *
+     * The list is rebuilt whenever the setting changes, so threads muted
+     * from the panel while the window is open show up immediately.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     */
+    _buildMutedGroup(window, page, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: _('Muted Threads'),
+            description: _(
+                'Threads muted from the panel menu or a desktop ' +
+                'notification. Unmuting subscribes you to the thread again.'),
+        });
+        page.add(group);
+
+        const rows = [];
+        const populate = () => {
+            for (const row of rows.splice(0))
+                group.remove(row);
+
+            const accounts = new Map(
+                loadAccounts(settings).map(a => [a.id, a]));
+            const threads = settings.get_value('muted-threads')
+                .recursiveUnpack()
+                .sort((a, b) => b['muted-at'] - a['muted-at']);
+
+            if (threads.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No muted threads'),
+                    activatable: false,
+                }));
+            }
+
+            for (const thread of threads) {
+                const account = accounts.get(thread['account']);
+                rows.push(this._buildMutedRow(settings, thread, account));
+            }
+
+            for (const row of rows)
+                group.add(row);
+        };
+
+        const changedId = settings.connect('changed::muted-threads', populate);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        populate();
+    }
+
+    /**
+     * Build the row for a single muted thread.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} thread — unpacked `muted-threads` entry.
+     * @param {Object|undefined} account — account the thread belongs to,
+     *     undefined if the account has been removed since.
+     * @returns {Adw.ActionRow}
+     */
+    _buildMutedRow(settings, thread, account) {
+        const accountLabel =
+            account ? getAccountLabel(account) : _('Removed account');
+        const row = new Adw.ActionRow({
+            title: GLib.markup_escape_text(thread['title'] || thread['id'], -1),
+            subtitle: GLib.markup_escape_text(
+                `${thread['repo']} · ${accountLabel}`, -1),
+        });
+
+        const btn = new Gtk.Button({
+            label: account ? _('Unmute') : _('Forget'),
+            valign: Gtk.Align.CENTER,
+        });
+        row.add_suffix(btn);
+
+        btn.connect('clicked', async () => {
+            btn.sensitive = false;
+
+            try {
+                if (account)
+                    await this._unmuteThread(account, thread['id']);
+                this._forgetMutedThread(settings, thread);
+            } catch (e) {
+                row.subtitle = GLib.markup_escape_text(e.message, -1);
+                btn.sensitive = true;
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Subscribe to a thread again via the GitHub API (PUT subscription with
+     * `ignored: false`).
+     *
+     * @param {Object} account — account the thread belongs to.
+     * @param {string} threadId
+     * @returns {Promise<void>} Rejects with the HTTP status on failure.
+     */
+    async _unmuteThread(account, threadId) {
+        const {token, locked} = await lookupToken(account.id);
+        if (locked)
+            throw new Error(_('Keyring locked'));
+        if (!token && !account.token)
+            throw new Error(_('No token set'));
+
+        const session = new Soup.Session({
+            user_agent: 'gnome-github-notifications-redux',
+        });
+        const url = `${getApiBase(account.host)}` +
+            `/notifications/threads/${threadId}/subscription`;
+
+        const message = Soup.Message.new('PUT', url);
+        message.get_request_headers().append(
+            'Authorization', `Bearer ${token ?? account.token}`);
+        message.get_request_headers().append(
+            'Accept', 'application/vnd.github+json');
+        message.set_request_body_from_bytes(
+            'application/json',
+            new GLib.Bytes(new TextEncoder().encode(
+                JSON.stringify({ignored: false}))));
+
+        await session.send_and_read_async(
+            message, GLib.PRIORITY_DEFAULT, null);
+
+        const status = message.get_status();
+        if (status !== Soup.Status.OK)
+            throw new Error(`HTTP ${status}`);
+    }
+
+    /**
+     * Remove an entry from the `muted-threads` setting.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Object} thread — unpacked `muted-threads` entry.
+     */
+    _forgetMutedThread(settings, thread) {
+        const muted = settings.get_value('muted-threads').deepUnpack()
+            .filter(t => t['account'].unpack() !== thread['account'] ||
+                t['id'].unpack() !== thread['id']);
+
+        settings.set_value('muted-threads',
+            new GLib.Variant('aa{sv}', muted));
+    }
+
     // ── Behavior Page ─────────────────────────────────────────────────────────
 
     /**
      * Build the "Behavior" preferences page.
      *
-     * Contains the refresh interval spinner, desktop notification toggle,
-     * participating-only toggle, auto-hide indicator toggle, and hide-count
-     * toggle.
+     * Contains the refresh interval and page limit spinners, desktop
+     * notification toggle, per-thread alert limit, auto-dismiss of closed
+     * items, dismiss button action, the quiet hours schedule, the
+     * recently read history (size and clear button), auto-hide
+     * indicator toggle, hide-count toggle, the reasons counted by the
+     * badge, and the remaining-count toggle.
      *
      * @param {Adw.PreferencesWindow} window
      * @param {Gio.Settings} settings
@@ -266,6 +1435,22 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
             Gio.SettingsBindFlags.DEFAULT);
         notifGroup.add(refreshRow);
 
+        /* Pagination limit — each page holds up to 50 notifications */
+        const maxPagesAdj = new Gtk.Adjustment({
+            lower: 1,
+            upper: 50,
+            step_increment: 1,
+            page_increment: 5,
+        });
+        const maxPagesRow = new Adw.SpinRow({
+            title: _('Maximum Pages'),
+            subtitle: _('Pages of 50 notifications fetched per refresh'),
+            adjustment: maxPagesAdj,
+        });
+        settings.bind('max-pages', maxPagesAdj, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        notifGroup.add(maxPagesRow);
+
         /* Desktop notifications toggle */
         const alertRow = new Adw.SwitchRow({
             title: _('Desktop Notifications'),
@@ -276,15 +1461,68 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
             Gio.SettingsBindFlags.DEFAULT);
         notifGroup.add(alertRow);
 
-        /* Participating-only toggle */
-        const participatingRow = new Adw.SwitchRow({
-            title: _('Participating Only'),
+        /* Burst threshold for per-thread alerts */
+        const thresholdAdj = new Gtk.Adjustment({
+            lower: 1,
+            upper: 50,
+            step_increment: 1,
+            page_increment: 5,
+        });
+        const thresholdRow = new Adw.SpinRow({
+            title: _('Per-Thread Alert Limit'),
             subtitle: _(
-                'Only show notifications where you are directly involved'),
+                'Show one summary instead when more threads arrive at once'),
+            adjustment: thresholdAdj,
+        });
+        settings.bind('alert-summary-threshold', thresholdAdj, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        settings.bind('show-alert', thresholdRow, 'sensitive',
+            Gio.SettingsBindFlags.GET);
+        notifGroup.add(thresholdRow);
+
+        /* Dismiss merged / closed pull requests and issues */
+        const autoDismissRow = new Adw.SwitchRow({
+            title: _('Auto-dismiss Closed Items'),
+            subtitle: _(
+                'Dismiss notifications for merged or closed pull requests ' +
+                'and issues among the first 25 of each account'),
         });
-        settings.bind('show-participating-only', participatingRow, 'active',
+        settings.bind('auto-dismiss-closed', autoDismissRow, 'active',
             Gio.SettingsBindFlags.DEFAULT);
-        notifGroup.add(participatingRow);
+        notifGroup.add(autoDismissRow);
+
+        /* What the dismiss button on a row does */
+        const dismissModel = new Gtk.StringList();
+        dismissModel.append(_('Mark as Read'));
+        dismissModel.append(_('Mark as Done'));
+
+        const DISMISS_VALUES = ['read', 'done'];
+
+        const dismissRow = new Adw.ComboRow({
+            title: _('Dismiss Button'),
+            subtitle: _(
+                '\u201CDone\u201D also removes the thread from the GitHub inbox'),
+            model: dismissModel,
+        });
+
+        const currentDismiss =
+            DISMISS_VALUES.indexOf(settings.get_string('dismiss-action'));
+        if (currentDismiss >= 0)
+            dismissRow.set_selected(currentDismiss);
+
+        dismissRow.connect('notify::selected', () => {
+            const idx = dismissRow.get_selected();
+            if (idx >= 0 && idx < DISMISS_VALUES.length)
+                settings.set_string('dismiss-action', DISMISS_VALUES[idx]);
+        });
+
+        notifGroup.add(dismissRow);
+
+        /* ── Quiet hours group ────────────────────────────────────────── */
+        this._buildQuietHoursGroup(page, settings);
+
+        /* ── Recently read group ──────────────────────────────────────── */
+        this._buildHistoryGroup(page, settings);
 
         /* ── Appearance group ─────────────────────────────────────────── */
         const appearanceGroup = new Adw.PreferencesGroup({
@@ -342,6 +1580,45 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
             Gio.SettingsBindFlags.DEFAULT);
         appearanceGroup.add(hideCountRow);
 
+        /* Reasons counted by the badge — one switch per reason */
+        const reasonsRow = new Adw.ExpanderRow({
+            title: _('Badge Reasons'),
+        });
+        const updateReasonsSubtitle = () => {
+            const reasons = settings.get_strv('badge-reasons');
+            reasonsRow.subtitle = reasons.length > 0
+                ? GLib.markup_escape_text(reasons.join(', '), -1)
+                : _('All reasons are counted');
+        };
+        updateReasonsSubtitle();
+
+        for (const reason of NOTIFICATION_REASONS) {
+            const reasonRow = new Adw.SwitchRow({
+                title: reason,
+                active: settings.get_strv('badge-reasons').includes(reason),
+            });
+            reasonRow.connect('notify::active', () => {
+                const reasons = settings.get_strv('badge-reasons')
+                    .filter(r => r !== reason);
+                if (reasonRow.active)
+                    reasons.push(reason);
+                settings.set_strv('badge-reasons', reasons);
+                updateReasonsSubtitle();
+            });
+            reasonsRow.add_row(reasonRow);
+        }
+        appearanceGroup.add(reasonsRow);
+
+        /* Secondary count for everything outside the badge reasons */
+        const secondaryRow = new Adw.SwitchRow({
+            title: _('Show Remaining Count'),
+            subtitle: _(
+                'Show a smaller number for notifications with other reasons'),
+        });
+        settings.bind('show-secondary-count', secondaryRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        appearanceGroup.add(secondaryRow);
+
         /* ── About group ──────────────────────────────────────────────── */
         const aboutGroup = new Adw.PreferencesGroup({
             title: _('About'),
@@ -366,4 +1643,162 @@ export default class GitHubNotificationsPreferences extends ExtensionPreferences
         });
         aboutGroup.add(repoRow);
     }
+
+    /**
+     * Build the "Quiet Hours" group of the Behavior page.
+     *
+     * A master switch, the Do Not Disturb switch and one expander row per
+     * weekday with its own switch and start / end times.  Times are stored
+     * as minutes after midnight and edited in 15-minute steps.
+     *
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     */
+    _buildQuietHoursGroup(page, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: _('Quiet Hours'),
+            description: _(
+                'Hold back desktop notifications and show one summary ' +
+                'afterwards; the panel count keeps updating'),
+        });
+        page.add(group);
+
+        const enableRow = new Adw.SwitchRow({
+            title: _('Enable Quiet Hours'),
+        });
+        settings.bind('quiet-hours-enabled', enableRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        group.add(enableRow);
+
+        const dndRow = new Adw.SwitchRow({
+            title: _('Respect Do Not Disturb'),
+            subtitle: _('Treat GNOME\u2019s Do Not Disturb like quiet hours'),
+        });
+        settings.bind('respect-dnd', dndRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        group.add(dndRow);
+
+        const WEEKDAYS = [
+            _('Monday'), _('Tuesday'), _('Wednesday'), _('Thursday'),
+            _('Friday'), _('Saturday'), _('Sunday'),
+        ];
+
+        const formatMinutes = minutes =>
+            `${String(Math.floor(minutes / 60)).padStart(2, '0')}:` +
+            `${String(minutes % 60).padStart(2, '0')}`;
+
+        const schedule = settings.get_value('quiet-hours').deepUnpack();
+
+        /* Write the whole schedule back after any row changes */
+        const save = () => settings.set_value('quiet-hours',
+            new GLib.Variant('a(bii)', schedule));
+
+        WEEKDAYS.forEach((dayName, day) => {
+            schedule[day] ??= [false, 1320, 420];
+            const entry = schedule[day];
+
+            const dayRow = new Adw.ExpanderRow({
+                title: dayName,
+                show_enable_switch: true,
+                enable_expansion: entry[0],
+            });
+            const updateSubtitle = () => {
+                dayRow.subtitle = entry[1] === entry[2]
+                    ? _('No quiet period')
+                    : `${formatMinutes(entry[1])} \u2013 ` +
+                      `${formatMinutes(entry[2])}`;
+            };
+            updateSubtitle();
+
+            dayRow.connect('notify::enable-expansion', () => {
+                entry[0] = dayRow.enable_expansion;
+                save();
+            });
+
+            [[_('Start'), 1], [_('End'), 2]].forEach(([title, index]) => {
+                const adj = new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 1425,
+                    step_increment: 15,
+                    page_increment: 60,
+                    value: entry[index],
+                });
+                const timeRow = new Adw.SpinRow({
+                    title,
+                    adjustment: adj,
+                    editable: false,
+                    wrap: true,
+                });
+                timeRow.connect('output', () => {
+                    timeRow.text = formatMinutes(adj.value);
+                    return true;
+                });
+                adj.connect('value-changed', () => {
+                    entry[index] = Math.round(adj.value);
+                    updateSubtitle();
+                    save();
+                });
+                dayRow.add_row(timeRow);
+            });
+
+            settings.bind('quiet-hours-enabled', dayRow, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+            group.add(dayRow);
+        });
+    }
+
+    /**
+     * Build the "Recently Read" group of the Behavior page: the history
+     * length and a button that clears it.
+     *
+     * The history file is shared with the shell, which watches it and
+     * picks up the cleared list straight away.
+     *
+     * @param {Adw.PreferencesPage} page
+     * @param {Gio.Settings} settings
+     */
+    _buildHistoryGroup(page, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: _('Recently Read'),
+            description: _(
+                'Dismissed and opened threads listed in the menu for ' +
+                'reopening'),
+        });
+        page.add(group);
+
+        const sizeAdj = new Gtk.Adjustment({
+            lower: 0,
+            upper: 100,
+            step_increment: 1,
+            page_increment: 10,
+        });
+        const sizeRow = new Adw.SpinRow({
+            title: _('History Size'),
+            subtitle: _('Number of threads kept; 0 turns the history off'),
+            adjustment: sizeAdj,
+        });
+        settings.bind('history-size', sizeAdj, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        group.add(sizeRow);
+
+        const clearRow = new Adw.ActionRow({
+            title: _('Clear History'),
+        });
+        const clearBtn = new Gtk.Button({
+            label: _('Clear'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        clearBtn.connect('clicked', () => {
+            writeJson(getDataFile(HISTORY_FILE), []).then(() => {
+                clearRow.subtitle = _('History cleared');
+            }).catch(e => {
+                console.error(
+                    `[GitHub Notifications] Cannot clear the history: ${e.message}`);
+                clearRow.subtitle = e.message;
+            });
+        });
+        clearRow.add_suffix(clearBtn);
+        group.add(clearRow);
+    }
 }
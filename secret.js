@@ -0,0 +1,139 @@
+/*
+ * secret.js — GitHub Notifications Redux
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * Copyright (c) 2026 Nelson Alex Jeppesen
+ *
+ * Personal access tokens are kept in the user's keyring through libsecret
+ * (Secret Service), never in dconf.  Shared by extension.js and prefs.js.
+ *
+ * Secret layout
+ * ─────────────
+ *  Schema:      org.gnome.shell.extensions.github-notifications-redux.Token
+ *  Attributes:  account  — the account's stable id (lookup key)
+ *               host     — the account's GitHub hostname (informational)
+ *  Label:       "GitHub Notifications token (<account label>)"
+ *
+ * The items can be inspected with e.g.
+ *   secret-tool search account <id>
+ */
+
+import Gio from 'gi://Gio';
+import Secret from 'gi://Secret';
+
+import {getAccountLabel, loadAccounts, saveAccounts} from './accounts.js';
+
+Gio._promisify(Secret, 'password_store', 'password_store_finish');
+Gio._promisify(Secret, 'password_clear', 'password_clear_finish');
+Gio._promisify(Secret.Service, 'get', 'get_finish');
+Gio._promisify(Secret.Service.prototype, 'search', 'search_finish');
+
+/** Name of the libsecret schema the tokens are stored under. */
+const SCHEMA_NAME =
+    'org.gnome.shell.extensions.github-notifications-redux.Token';
+
+let _schema = null;
+
+/**
+ * Return the libsecret schema, creating it on first use.
+ *
+ * @returns {Secret.Schema}
+ */
+function getSchema() {
+    if (!_schema) {
+        _schema = new Secret.Schema(SCHEMA_NAME, Secret.SchemaFlags.NONE, {
+            'account': Secret.SchemaAttributeType.STRING,
+            'host': Secret.SchemaAttributeType.STRING,
+        });
+    }
+
+    return _schema;
+}
+
+/**
+ * Look up an account's token in the keyring.
+ *
+ * The search never prompts: when the item lives in a locked collection,
+ * `locked` is set and no token is returned, so the caller can show the
+ * locked state and try again later.
+ *
+ * @param {string} accountId
+ * @returns {Promise<{token: string|null, locked: boolean}>}
+ */
+export async function lookupToken(accountId) {
+    const service = await Secret.Service.get(
+        Secret.ServiceFlags.OPEN_SESSION, null);
+    const items = await service.search(
+        getSchema(), {'account': accountId},
+        Secret.SearchFlags.LOAD_SECRETS, null);
+
+    for (const item of items) {
+        if (item.get_locked())
+            continue;
+
+        const token = item.get_secret()?.get_text();
+        if (token)
+            return {token, locked: false};
+    }
+
+    return {token: null, locked: items.some(item => item.get_locked())};
+}
+
+/**
+ * Store (or replace) an account's token in the default keyring.
+ *
+ * @param {Object} account — account the token belongs to.
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+export function storeToken(account, token) {
+    return Secret.password_store(
+        getSchema(), {'account': account.id, 'host': account.host},
+        Secret.COLLECTION_DEFAULT,
+        `GitHub Notifications token (${getAccountLabel(account)})`,
+        token, null);
+}
+
+/**
+ * Remove an account's token from the keyring.
+ *
+ * @param {string} accountId
+ * @returns {Promise<boolean>} Whether an item was removed.
+ */
+export function clearToken(accountId) {
+    return Secret.password_clear(
+        getSchema(), {'account': accountId}, null);
+}
+
+/**
+ * Move tokens still stored in GSettings into the keyring.
+ *
+ * Every account whose `accounts` entry still carries a token (written by
+ * an older version, or migrated from the legacy `token` key) has it
+ * stored in the keyring; the GSettings copy is then cleared and the
+ * account's `token-revision` bumped so running instances reload it.
+ *
+ * @param {Gio.Settings} settings
+ * @returns {Promise<boolean>} Whether any token was migrated.
+ */
+export async function migrateTokensToKeyring(settings) {
+    const pending = loadAccounts(settings).filter(a => a.token);
+    if (pending.length === 0)
+        return false;
+
+    for (const account of pending)
+        await storeToken(account, account.token);
+
+    /* Re-read so edits made while storing are not overwritten */
+    const migrated = new Set(pending.map(a => a.id));
+    const accounts = loadAccounts(settings);
+    for (const account of accounts) {
+        if (migrated.has(account.id)) {
+            account.token = '';
+            account.tokenRevision++;
+        }
+    }
+    saveAccounts(settings, accounts);
+
+    return true;
+}
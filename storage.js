@@ -0,0 +1,94 @@
+/*
+ * storage.js — GitHub Notifications Redux
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * Copyright (c) 2026 Nelson Alex Jeppesen
+ *
+ * Small JSON files for state that must survive a shell restart but does not
+ * belong in GSettings (it changes often and is not configuration).  Only
+ * imports libraries that are safe in both the GNOME Shell and the GTK 4
+ * process.
+ *
+ * Files live in a directory named after the extension:
+ *
+ *   data   ~/.local/share/github-notifications-redux/<name>.json
+ *   cache  ~/.cache/github-notifications-redux/<name>.json
+ *
+ * Cache files only speed things up and may be deleted at any time.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async',
+    'load_contents_finish');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async',
+    'replace_contents_finish');
+
+/** Directory name used below the XDG data and cache directories. */
+const DIR_NAME = 'github-notifications-redux';
+
+/**
+ * Data file holding the "Recently Read" history.  Written by the shell and
+ * cleared by the preferences, which is why both processes share the name.
+ */
+export const HISTORY_FILE = 'history';
+
+/**
+ * Return a JSON file in the extension's data directory.
+ *
+ * @param {string} name — file name without extension, e.g. "snoozed".
+ * @returns {Gio.File}
+ */
+export function getDataFile(name) {
+    return Gio.File.new_for_path(GLib.build_filenamev(
+        [GLib.get_user_data_dir(), DIR_NAME, `${name}.json`]));
+}
+
+/**
+ * Return a JSON file in the extension's cache directory.
+ *
+ * @param {string} name — file name without extension, e.g. "notifications".
+ * @returns {Gio.File}
+ */
+export function getCacheFile(name) {
+    return Gio.File.new_for_path(GLib.build_filenamev(
+        [GLib.get_user_cache_dir(), DIR_NAME, `${name}.json`]));
+}
+
+/**
+ * Read and parse a JSON file.
+ *
+ * @param {Gio.File} file
+ * @param {*} fallback — returned when the file does not exist yet.
+ * @returns {Promise<*>} Rejects on unreadable or malformed files.
+ */
+export async function readJson(file, fallback) {
+    try {
+        const [contents] = await file.load_contents_async(null);
+        return JSON.parse(new TextDecoder('utf-8').decode(contents));
+    } catch (e) {
+        if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            return fallback;
+        throw e;
+    }
+}
+
+/**
+ * Serialise a value to a JSON file, creating its directory if needed.
+ *
+ * The file is replaced atomically, so a crash never leaves it half
+ * written.
+ *
+ * @param {Gio.File} file
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+export async function writeJson(file, value) {
+    GLib.mkdir_with_parents(file.get_parent().get_path(), 0o700);
+
+    const bytes = new GLib.Bytes(
+        new TextEncoder().encode(JSON.stringify(value)));
+    await file.replace_contents_bytes_async(
+        bytes, null, false, Gio.FileCreateFlags.PRIVATE, null);
+}